@@ -0,0 +1,215 @@
+/**
+ * Skibidi Screen Share - Admin Dashboard
+ * Lists the server's live rooms through the admin API (lib/http-api.js)
+ * and lets an operator close them. The token is kept for this tab only.
+ */
+
+// ============================================
+// Configuration
+// ============================================
+const ADMIN_TOKEN_KEY = 'skibidi-admin-token';
+const REFRESH_INTERVAL = 5000;
+
+// ============================================
+// DOM Elements
+// ============================================
+const tokenForm = document.getElementById('tokenForm');
+const adminTokenInput = document.getElementById('adminToken');
+const refreshBtn = document.getElementById('refreshBtn');
+const statusMessage = document.getElementById('statusMessage');
+const roomsBody = document.getElementById('roomsBody');
+const roomsEmpty = document.getElementById('roomsEmpty');
+const roomCount = document.getElementById('roomCount');
+const lastUpdated = document.getElementById('lastUpdated');
+
+// ============================================
+// State
+// ============================================
+let adminToken = sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+let refreshTimer = null;
+
+// ============================================
+// API
+// ============================================
+
+/**
+ * Call the admin API
+ * @param {string} method
+ * @param {string} path
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function apiRequest(method, path) {
+    const response = await fetch(path, {
+        method,
+        headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        // Don't keep retrying with a token the server rejects
+        setToken('');
+    }
+    if (!response.ok) {
+        throw new Error(body.error || `Request failed (${response.status})`);
+    }
+    return body;
+}
+
+async function loadRooms() {
+    if (!adminToken) return;
+
+    try {
+        const { rooms } = await apiRequest('GET', '/api/rooms');
+        renderRooms(rooms);
+        lastUpdated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        if (statusMessage.classList.contains('error')) {
+            showStatusMessage('', '');
+        }
+    } catch (error) {
+        showStatusMessage(error.message, 'error');
+    }
+}
+
+/**
+ * Force-close a room; everyone in it is disconnected
+ */
+async function closeRoom(room) {
+    const viewers = room.viewers.length;
+    if (!confirm(`Close room ${room.displayCode}? The host and ${viewers} viewer${viewers === 1 ? '' : 's'} will be disconnected.`)) {
+        return;
+    }
+
+    try {
+        await apiRequest('DELETE', `/api/rooms/${encodeURIComponent(room.code)}`);
+        showStatusMessage(`Room ${room.displayCode} closed`, 'success');
+    } catch (error) {
+        showStatusMessage(`Could not close ${room.displayCode}: ${error.message}`, 'error');
+    }
+    loadRooms();
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Format milliseconds as "1h 5m", "5m 12s" or "12s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * One participant: socket id, connection state and details on hover
+ */
+function createPeerLabel(peer) {
+    const label = document.createElement('div');
+    label.className = 'admin-peer';
+    label.textContent = `${peer.connected ? '🟢' : '🟠'} ${peer.id}${peer.recording ? ' ⏺' : ''}`;
+    label.title = [
+        peer.connected ? 'Connected' : `Reconnecting since ${new Date(peer.disconnectedAt).toLocaleTimeString()}`,
+        peer.recording ? 'Recording' : '',
+        peer.address || '',
+        peer.userAgent || ''
+    ].filter(Boolean).join('\n');
+    return label;
+}
+
+function createCell(...children) {
+    const cell = document.createElement('td');
+    children.forEach(child => {
+        cell.append(child);
+    });
+    return cell;
+}
+
+function renderRooms(rooms) {
+    roomsBody.replaceChildren();
+    roomCount.textContent = `(${rooms.length})`;
+    roomsEmpty.textContent = 'No active rooms';
+    roomsEmpty.style.display = rooms.length === 0 ? 'block' : 'none';
+
+    rooms
+        .sort((a, b) => a.age - b.age)
+        .forEach(room => {
+            const row = document.createElement('tr');
+
+            const flags = [room.pinProtected ? '🔒' : '', room.locked ? '⛔' : ''].filter(Boolean).join(' ');
+            const code = document.createElement('strong');
+            code.textContent = room.displayCode;
+
+            const waiting = room.pending.map(request => {
+                const label = document.createElement('div');
+                label.className = 'admin-peer';
+                label.textContent = `⏳ ${request.id} (${formatDuration(request.waiting)})`;
+                label.title = [request.address, request.userAgent].filter(Boolean).join('\n');
+                return label;
+            });
+
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'btn btn-danger admin-close-btn';
+            closeBtn.textContent = 'Close';
+            closeBtn.addEventListener('click', () => closeRoom(room));
+
+            row.append(
+                createCell(code, flags ? ` ${flags}` : ''),
+                createCell(formatDuration(room.age)),
+                createCell(createPeerLabel(room.host)),
+                createCell(...(room.viewers.length > 0 ? room.viewers.map(createPeerLabel) : ['—'])),
+                createCell(...(waiting.length > 0 ? waiting : ['—'])),
+                createCell(closeBtn)
+            );
+            roomsBody.appendChild(row);
+        });
+}
+
+function showStatusMessage(message, type) {
+    statusMessage.textContent = message;
+    statusMessage.className = `status-message ${type}`;
+}
+
+// ============================================
+// Token & Refresh
+// ============================================
+
+function setToken(token) {
+    adminToken = token;
+    if (token) {
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    } else {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    }
+
+    clearInterval(refreshTimer);
+    refreshTimer = token ? setInterval(loadRooms, REFRESH_INTERVAL) : null;
+}
+
+tokenForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    setToken(adminTokenInput.value.trim());
+    adminTokenInput.value = '';
+    if (!adminToken) {
+        showStatusMessage('Enter the admin token', 'error');
+        return;
+    }
+    loadRooms();
+});
+
+refreshBtn.addEventListener('click', () => {
+    if (!adminToken) {
+        showStatusMessage('Enter the admin token', 'error');
+        return;
+    }
+    loadRooms();
+});
+
+// Pick up where we left off in this tab
+if (adminToken) {
+    setToken(adminToken);
+    loadRooms();
+}
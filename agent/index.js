@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Skibidi Companion Agent
+ * Browsers can't move the cursor or press keys on the host's desktop, so the
+ * host runs this small agent locally. The host page connects to it over a
+ * localhost WebSocket and forwards the viewer's decoded mouse/keyboard events,
+ * which an injector backend turns into real OS input.
+ *
+ * Usage:
+ *   npm run agent              # inject with xdotool (Linux / X11)
+ *   npm run agent -- --dry-run # only record and log events
+ *
+ * Environment:
+ *   AGENT_PORT     - Port to listen on, bound to 127.0.0.1 only (default 7071)
+ *   AGENT_TOKEN    - Optional token the host page must present
+ *   AGENT_ORIGINS  - Comma-separated origins of the host page allowed to connect
+ *                    (default http://localhost:3000,http://127.0.0.1:3000)
+ *   AGENT_INJECTOR - Injector backend: "xdotool" (default) or "dry-run"
+ *   AGENT_SCREEN   - Target area as WIDTHxHEIGHT[+X+Y], e.g. "1920x1080+1920+0"
+ *                    for the second monitor (default: whole display)
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { createInjector } = require('./injectors');
+
+const DEFAULT_PORT = 7071;
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// Wheel deltas that make up one notch, per WheelEvent.deltaMode (pixels, lines, pages)
+const WHEEL_NOTCH_SIZE = [100, 3, 0.1];
+
+const BUTTON_NAMES = ['left', 'middle', 'right', 'back', 'forward'];
+
+/**
+ * Parse "WIDTHxHEIGHT[+X+Y]"
+ * @returns {{width: number, height: number, x: number, y: number}|null}
+ */
+function parseScreenArea(value) {
+    const match = /^(\d+)x(\d+)(?:\+(\d+)\+(\d+))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return {
+        width: Number(match[1]),
+        height: Number(match[2]),
+        x: Number(match[3] || 0),
+        y: Number(match[4] || 0)
+    };
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Constant-time token comparison (hashing first evens out the lengths)
+ */
+function tokensMatch(expected, provided) {
+    const a = crypto.createHash('sha256').update(String(expected)).digest();
+    const b = crypto.createHash('sha256').update(String(provided || '')).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Translates remote-control events (normalized coordinates, browser button
+ * and key names) into injector calls, and remembers what is held down so a
+ * dropped connection never leaves a key or button stuck.
+ * @param {object} injector - See injectors/index.js
+ * @param {{width: number, height: number, x: number, y: number}} area - Screen area the video maps to
+ */
+function createEventHandler(injector, area) {
+    const heldButtons = new Set();
+    const heldKeys = new Map(); // code -> key
+    const wheelRemainder = { x: 0, y: 0 };
+
+    function toScreen(x, y) {
+        return {
+            x: area.x + Math.round(clamp01(x) * (area.width - 1)),
+            y: area.y + Math.round(clamp01(y) * (area.height - 1))
+        };
+    }
+
+    function moveTo(event) {
+        if (!isFiniteNumber(event.x) || !isFiniteNumber(event.y)) return;
+        const point = toScreen(event.x, event.y);
+        injector.moveMouse(point.x, point.y);
+    }
+
+    function wheelNotches(axis, delta, deltaMode) {
+        const notchSize = WHEEL_NOTCH_SIZE[deltaMode] || WHEEL_NOTCH_SIZE[0];
+        wheelRemainder[axis] += delta / notchSize;
+        const notches = Math.trunc(wheelRemainder[axis]);
+        wheelRemainder[axis] -= notches;
+        return notches;
+    }
+
+    function handle(event) {
+        if (!event || typeof event !== 'object') return;
+
+        switch (event.type) {
+            case 'mousemove':
+                moveTo(event);
+                break;
+            case 'mousedown':
+            case 'mouseup': {
+                const button = BUTTON_NAMES[event.button];
+                if (!button) return;
+                const down = event.type === 'mousedown';
+                // Press where the viewer clicked, not wherever the last throttled move landed
+                moveTo(event);
+                if (down) {
+                    heldButtons.add(button);
+                } else {
+                    heldButtons.delete(button);
+                }
+                injector.mouseButton(button, down);
+                break;
+            }
+            case 'wheel': {
+                const deltaX = isFiniteNumber(event.deltaX) ? event.deltaX : 0;
+                const deltaY = isFiniteNumber(event.deltaY) ? event.deltaY : 0;
+                const dx = wheelNotches('x', deltaX, event.deltaMode);
+                const dy = wheelNotches('y', deltaY, event.deltaMode);
+                if (dx !== 0 || dy !== 0) {
+                    injector.scroll(dx, dy);
+                }
+                break;
+            }
+            case 'keydown':
+            case 'keyup': {
+                if (typeof event.key !== 'string' || event.key.length > 32) return;
+                const code = typeof event.code === 'string' ? event.code : event.key;
+                const down = event.type === 'keydown';
+                if (down) {
+                    heldKeys.set(code, event.key);
+                } else {
+                    heldKeys.delete(code);
+                }
+                injector.key(event.key, code, down);
+                break;
+            }
+            case 'release-all':
+                // Sent by the host page when it revokes a viewer's control
+                releaseAll();
+                break;
+        }
+    }
+
+    function releaseAll() {
+        heldKeys.forEach((key, code) => injector.key(key, code, false));
+        heldButtons.forEach(button => injector.mouseButton(button, false));
+        heldKeys.clear();
+        heldButtons.clear();
+    }
+
+    return { handle, releaseAll };
+}
+
+/**
+ * Start the agent
+ * @param {object} options
+ * @param {number} [options.port]
+ * @param {string} [options.token] - Required token, or empty to allow any local page from an allowed origin
+ * @param {string[]} [options.origins] - Allowed page origins
+ * @param {object} options.injector - Injector backend
+ * @param {object} [options.screen] - Target area override (see parseScreenArea)
+ * @returns {Promise<{server: WebSocketServer, area: object, close: Function}>}
+ */
+async function startAgent({ port = DEFAULT_PORT, token = '', origins = DEFAULT_ORIGINS, injector, screen = null }) {
+    const detected = await injector.init();
+    const area = screen || { x: 0, y: 0, ...(detected || { width: 1920, height: 1080 }) };
+
+    const server = new WebSocketServer({
+        host: '127.0.0.1',
+        port,
+        maxPayload: MAX_MESSAGE_SIZE,
+        // Any web page can open a WebSocket to localhost, so only let the host page in
+        verifyClient: ({ origin, req }, done) => {
+            if (!origins.includes(origin)) {
+                console.warn(`⛔ Rejected connection from origin ${origin || '(none)'}`);
+                return done(false, 403, 'Origin not allowed');
+            }
+            const provided = new URL(req.url, 'http://localhost').searchParams.get('token');
+            if (token && !tokensMatch(token, provided)) {
+                console.warn(`⛔ Rejected connection from ${origin}: bad token`);
+                return done(false, 401, 'Invalid token');
+            }
+            done(true);
+        }
+    });
+
+    let activeClient = null;
+    let activeHandler = null;
+
+    server.on('connection', (client, req) => {
+        // One host page at a time - a reload replaces the old connection
+        if (activeClient) {
+            activeHandler.releaseAll();
+            activeClient.close(4000, 'Replaced by a newer connection');
+        }
+
+        const handler = createEventHandler(injector, area);
+        activeClient = client;
+        activeHandler = handler;
+        console.log(`✅ Host page connected from ${req.headers.origin}`);
+
+        client.send(JSON.stringify({
+            type: 'ready',
+            injector: injector.name,
+            screen: { width: area.width, height: area.height }
+        }));
+
+        client.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                console.warn('⚠️ Ignoring malformed message');
+                return;
+            }
+
+            if (message && message.type === 'batch' && Array.isArray(message.events)) {
+                message.events.forEach(event => handler.handle(event));
+            } else {
+                handler.handle(message);
+            }
+        });
+
+        client.on('close', () => {
+            handler.releaseAll();
+            if (activeClient === client) {
+                activeClient = null;
+                activeHandler = null;
+                console.log('❌ Host page disconnected');
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('listening', resolve);
+        server.once('error', reject);
+    });
+
+    return {
+        server,
+        area,
+        close: () => new Promise(resolve => {
+            if (activeHandler) {
+                activeHandler.releaseAll();
+            }
+            injector.close();
+            server.close(() => resolve());
+            server.clients.forEach(client => client.terminate());
+        })
+    };
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const injectorName = dryRun ? 'dry-run' : (process.env.AGENT_INJECTOR || 'xdotool');
+    const port = Number(process.env.AGENT_PORT) || DEFAULT_PORT;
+    const token = process.env.AGENT_TOKEN || '';
+    const origins = process.env.AGENT_ORIGINS
+        ? process.env.AGENT_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+        : DEFAULT_ORIGINS;
+
+    let screen = null;
+    if (process.env.AGENT_SCREEN) {
+        screen = parseScreenArea(process.env.AGENT_SCREEN);
+        if (!screen) {
+            throw new Error(`AGENT_SCREEN must look like 1920x1080 or 1920x1080+0+0 (got "${process.env.AGENT_SCREEN}")`);
+        }
+    }
+
+    const injector = createInjector(injectorName, { verbose: true });
+    const agent = await startAgent({ port, token, origins, injector, screen });
+
+    console.log('='.repeat(60));
+    console.log('🖱️  Skibidi Screen Share - Companion Agent');
+    console.log('='.repeat(60));
+    console.log(`📡 Listening on: ws://127.0.0.1:${port}`);
+    console.log(`🎮 Injector: ${injector.name}`);
+    console.log(`🖥️  Target area: ${agent.area.width}x${agent.area.height}+${agent.area.x}+${agent.area.y}`);
+    console.log(`🔐 Allowed origins: ${origins.join(', ')}`);
+    console.log('='.repeat(60));
+    console.log('');
+    if (token) {
+        console.log(`ℹ️  Open the host page once with #agent-token=${token} to pair it with this agent`);
+    } else {
+        console.log('ℹ️  No AGENT_TOKEN set - any page from an allowed origin can connect');
+    }
+    console.log('');
+
+    const shutdown = () => {
+        agent.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Agent failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createEventHandler,
+    parseScreenArea,
+    startAgent
+};
@@ -0,0 +1,43 @@
+/**
+ * Dry-run Injector
+ * Records events instead of touching the desktop. Useful for trying the
+ * agent on a machine without an injector backend and for testing.
+ */
+
+const MAX_RECORDED_EVENTS = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {{width: number, height: number}} [options.screen] - Pretend screen size
+ * @param {boolean} [options.verbose] - Log every recorded event
+ */
+function createDryRunInjector({ screen = { width: 1920, height: 1080 }, verbose = false } = {}) {
+    const events = [];
+
+    function record(action, details) {
+        const entry = { action, ...details, at: Date.now() };
+        events.push(entry);
+        if (events.length > MAX_RECORDED_EVENTS) {
+            events.shift();
+        }
+        if (verbose) {
+            console.log('📝', action, JSON.stringify(details));
+        }
+    }
+
+    return {
+        name: 'dry-run',
+        // Most recent events, oldest first
+        events,
+        init: async () => screen,
+        moveMouse: (x, y) => record('moveMouse', { x, y }),
+        mouseButton: (button, down) => record('mouseButton', { button, down }),
+        scroll: (dx, dy) => record('scroll', { dx, dy }),
+        key: (key, code, down) => record('key', { key, code, down }),
+        close: () => {}
+    };
+}
+
+module.exports = {
+    createDryRunInjector
+};
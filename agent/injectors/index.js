@@ -0,0 +1,39 @@
+/**
+ * Injector Backends
+ * An injector turns decoded remote-control events into real OS input.
+ *
+ * Every injector implements:
+ *   name                    - Backend name reported to the host page
+ *   init()                  - Promise resolving to the screen size { width, height } (or null if unknown)
+ *   moveMouse(x, y)         - Move the cursor to absolute screen pixels
+ *   mouseButton(button, down) - Press/release 'left' | 'middle' | 'right' | 'back' | 'forward'
+ *   scroll(dx, dy)          - Scroll by whole wheel notches (positive = right/down)
+ *   key(key, code, down)    - Press/release a key, given KeyboardEvent.key/.code from the viewer
+ *   close()                 - Release resources
+ */
+
+const { createDryRunInjector } = require('./dry-run');
+const { createXdotoolInjector } = require('./xdotool');
+
+const INJECTORS = {
+    'dry-run': createDryRunInjector,
+    xdotool: createXdotoolInjector
+};
+
+/**
+ * Create an injector backend by name
+ * @param {string} name - One of the keys of INJECTORS
+ * @param {object} [options] - Backend specific options
+ */
+function createInjector(name, options = {}) {
+    const factory = INJECTORS[name];
+    if (!factory) {
+        throw new Error(`Unknown injector "${name}" (available: ${Object.keys(INJECTORS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    INJECTORS,
+    createInjector
+};
@@ -0,0 +1,171 @@
+/**
+ * xdotool Injector (Linux / X11)
+ * Drives the desktop through the `xdotool` CLI. Commands run one at a time;
+ * queued cursor moves are collapsed so a slow X server never falls behind
+ * the viewer's mouse.
+ */
+
+const { execFile } = require('child_process');
+
+// KeyboardEvent.key -> X keysym for keys whose names differ
+const SPECIAL_KEYSYMS = {
+    Enter: 'Return',
+    Backspace: 'BackSpace',
+    Tab: 'Tab',
+    Escape: 'Escape',
+    ' ': 'space',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Shift: 'Shift_L',
+    Control: 'Control_L',
+    Alt: 'Alt_L',
+    AltGraph: 'ISO_Level3_Shift',
+    Meta: 'Super_L',
+    CapsLock: 'Caps_Lock',
+    NumLock: 'Num_Lock',
+    ScrollLock: 'Scroll_Lock',
+    Delete: 'Delete',
+    Insert: 'Insert',
+    Home: 'Home',
+    End: 'End',
+    PageUp: 'Prior',
+    PageDown: 'Next',
+    ContextMenu: 'Menu',
+    PrintScreen: 'Print',
+    Pause: 'Pause'
+};
+
+const PUNCTUATION_KEYSYMS = {
+    '`': 'grave', '~': 'asciitilde', '!': 'exclam', '@': 'at', '#': 'numbersign',
+    '$': 'dollar', '%': 'percent', '^': 'asciicircum', '&': 'ampersand', '*': 'asterisk',
+    '(': 'parenleft', ')': 'parenright', '-': 'minus', '_': 'underscore', '=': 'equal',
+    '+': 'plus', '[': 'bracketleft', ']': 'bracketright', '{': 'braceleft', '}': 'braceright',
+    '\\': 'backslash', '|': 'bar', ';': 'semicolon', ':': 'colon', "'": 'apostrophe',
+    '"': 'quotedbl', ',': 'comma', '<': 'less', '.': 'period', '>': 'greater',
+    '/': 'slash', '?': 'question'
+};
+
+const BUTTON_NUMBERS = { left: 1, middle: 2, right: 3, back: 8, forward: 9 };
+
+/**
+ * Map a browser key to an X keysym, or null if we don't know it.
+ * Only returns plain keysym names so nothing can be smuggled in as an xdotool option.
+ */
+function toKeysym(key) {
+    if (SPECIAL_KEYSYMS[key]) return SPECIAL_KEYSYMS[key];
+    if (PUNCTUATION_KEYSYMS[key]) return PUNCTUATION_KEYSYMS[key];
+    if (/^[A-Za-z0-9]$/.test(key)) return key;
+    if (/^F([1-9]|1[0-9]|2[0-4])$/.test(key)) return key;
+    return null;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.command] - Path to the xdotool binary
+ */
+function createXdotoolInjector({ command = 'xdotool' } = {}) {
+    const queue = [];
+    let running = false;
+    const unknownKeys = new Set();
+
+    function run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, { timeout: 2000 }, (error, stdout) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    async function drain() {
+        if (running) return;
+        running = true;
+        while (queue.length > 0) {
+            const { args } = queue.shift();
+            try {
+                await run(args);
+            } catch (error) {
+                console.error('❌ xdotool failed:', args.join(' '), '-', error.message);
+            }
+        }
+        running = false;
+    }
+
+    /**
+     * Queue an xdotool invocation
+     * @param {string[]} args
+     * @param {boolean} [coalesce] - Replace a queued command of the same kind instead of adding another
+     */
+    function enqueue(args, coalesce = false) {
+        const last = queue[queue.length - 1];
+        if (coalesce && last && last.coalesce && last.args[0] === args[0]) {
+            last.args = args;
+        } else {
+            queue.push({ args, coalesce });
+        }
+        drain();
+    }
+
+    return {
+        name: 'xdotool',
+
+        async init() {
+            try {
+                const output = await run(['getdisplaygeometry']);
+                const [width, height] = output.trim().split(/\s+/).map(Number);
+                return { width, height };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error('xdotool is not installed (try "sudo apt install xdotool"), or run the agent with --dry-run');
+                }
+                throw new Error(`xdotool could not reach the X display: ${error.message}`);
+            }
+        },
+
+        moveMouse(x, y) {
+            enqueue(['mousemove', String(x), String(y)], true);
+        },
+
+        mouseButton(button, down) {
+            const number = BUTTON_NUMBERS[button];
+            if (!number) return;
+            enqueue([down ? 'mousedown' : 'mouseup', String(number)]);
+        },
+
+        scroll(dx, dy) {
+            // X11 maps the wheel to buttons 4/5 (vertical) and 6/7 (horizontal)
+            if (dy !== 0) {
+                enqueue(['click', '--repeat', String(Math.abs(dy)), dy < 0 ? '4' : '5']);
+            }
+            if (dx !== 0) {
+                enqueue(['click', '--repeat', String(Math.abs(dx)), dx < 0 ? '6' : '7']);
+            }
+        },
+
+        key(key, code, down) {
+            const keysym = toKeysym(key);
+            if (!keysym) {
+                if (!unknownKeys.has(key)) {
+                    unknownKeys.add(key);
+                    console.warn(`⚠️ No keysym for key "${key}" (${code}) - ignoring`);
+                }
+                return;
+            }
+            enqueue([down ? 'keydown' : 'keyup', keysym]);
+        },
+
+        close() {
+            queue.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createXdotoolInjector,
+    toKeysym
+};
@@ -9,6 +9,10 @@
 // DOM Elements
 // ============================================
 const sharingCodeInput = document.getElementById('sharingCode');
+const pinGroup = document.getElementById('pinGroup');
+const pinInput = document.getElementById('pinInput');
+const hostPinInput = document.getElementById('hostPin');
+const secureCodeCheckbox = document.getElementById('secureCode');
 const connectBtn = document.getElementById('connectBtn');
 const generateBtn = document.getElementById('generateBtn');
 const statusMessage = document.getElementById('statusMessage');
@@ -19,6 +23,30 @@ const screenControls = document.getElementById('screenControls');
 const disconnectBtn = document.getElementById('disconnectBtn');
 const fullscreenBtn = document.getElementById('fullscreenBtn');
 const settingsBtn = document.getElementById('settingsBtn');
+const promptContainer = document.getElementById('promptContainer');
+const transferContainer = document.getElementById('transferContainer');
+const sendFileBtn = document.getElementById('sendFileBtn');
+const fileInput = document.getElementById('fileInput');
+const chatToggle = document.getElementById('chatToggle');
+const chatBadge = document.getElementById('chatBadge');
+const chatPanel = document.getElementById('chatPanel');
+const chatMessages = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const chatExportBtn = document.getElementById('chatExportBtn');
+const chatCloseBtn = document.getElementById('chatCloseBtn');
+const settingsOverlay = document.getElementById('settingsOverlay');
+const settingsForm = document.getElementById('settingsForm');
+const settingsResetBtn = document.getElementById('settingsResetBtn');
+const settingsCancelBtn = document.getElementById('settingsCancelBtn');
+const statsBtn = document.getElementById('statsBtn');
+const statsPanel = document.getElementById('statsPanel');
+const statsMetrics = document.getElementById('statsMetrics');
+const statsDetails = document.getElementById('statsDetails');
+const statsExportBtn = document.getElementById('statsExportBtn');
+const statsCloseBtn = document.getElementById('statsCloseBtn');
+const recordBtn = document.getElementById('recordBtn');
+const recordingIndicator = document.getElementById('recordingIndicator');
 
 // ============================================
 // State Management
@@ -26,34 +54,109 @@ const settingsBtn = document.getElementById('settingsBtn');
 let isConnected = false;
 let currentCode = null;
 let socket = null;
-let peerConnection = null;
+let peerConnections = new Map(); // peer socket id -> RTCPeerConnection (host: one per viewer)
 let localStream = null;
 let remoteStream = null;
 let role = null; // 'host' or 'viewer'
-let remotePeerId = null;
+let remotePeerId = null; // viewer: the host's socket id
 let statsInterval = null;
+let statsTracker = createStatsTracker(); // Viewer: history of the incoming stream (see stats.js)
+let iceServersExpireAt = 0; // When the server-provided TURN credentials stop working (0 = not fetched)
+let connectionTimeout = null;
+let resumeToken = null; // Lets us reclaim our seat in the room after a reconnect
+let peerRecovery = new Map(); // RTCPeerConnection -> { attempts, timer } while reconnecting
+let viewersAwaitingStream = new Set(); // Viewers to send an offer once the host has a stream
+let viewerRequestPrompts = new Map(); // viewer socket id -> pending approval prompt (host)
 
 // Remote Control State
-let dataChannel = null;
+let dataChannels = new Map(); // peer socket id -> 'remoteControl' RTCDataChannel (unreliable: mouse moves, wheel)
+let reliableChannels = new Map(); // peer socket id -> 'remoteControlReliable' RTCDataChannel (keys, buttons, control messages)
+let clipboardChannels = new Map(); // peer socket id -> 'clipboard' RTCDataChannel
+let fileChannels = new Map(); // peer socket id -> 'fileTransfer' RTCDataChannel
+let chatChannels = new Map(); // peer socket id -> 'chat' RTCDataChannel
+let outgoingTransfers = new Map(); // our transfer id -> file being sent to one peer
+let incomingTransfers = new Map(); // SHA-256 -> file being received (kept while interrupted so it can resume)
+let peerTransferSessions = new Map(); // peer socket id -> the peer's transfer session (from file-hello)
+let fileChannelSessions = new WeakMap(); // 'fileTransfer' RTCDataChannel -> the peer's transfer session
+let motionSequence = 0; // Viewer: numbers motion messages so the host can drop stale ones
+let lastMotionSequence = new WeakMap(); // Host: RTCDataChannel -> newest motion sequence applied
+let heldRemoteKeys = new Map(); // Viewer: code -> keyup event still owed to the host
+let heldRemoteButtons = new Set(); // Viewer: mouse buttons pressed on the host
 let remoteControlEnabled = false;
 let lastMousePosition = { x: 0, y: 0 };
 let eventBatchQueue = [];
 let eventBatchInterval = null;
-let inputLatencyHistory = [];
+let inputLatencyHistory = []; // Viewer: recent input round-trip times to the host (ms)
+let latencyProbeInterval = null;
+let cursorPrediction = null; // Viewer: { x, y, vx, vy, movedAt, shownX, shownY, frame } in video-relative px
+let controlLevel = 'view'; // Viewer: what the host currently lets us control
+let controlRequestPending = false; // Viewer: asked for control, waiting on the host
+let controlPermissions = new Map(); // Host: viewer socket id -> 'mouse' | 'full' (absent = view-only)
+let controlRequestPrompts = new Map(); // Host: viewer socket id -> pending control request prompt
+let viewerLabels = new Map(); // Host: viewer socket id -> short description shown in prompts
+let controlProtocols = new WeakMap(); // RTCDataChannel -> binary protocol version agreed with the peer
+let qualityControllers = new Map(); // Host: viewer socket id -> adaptive quality state
+let qualityInterval = null;
+let qualityMode = 'auto'; // Viewer: what the host should protect when the network struggles
+
+// Companion agent (host): injects viewers' input into the real desktop
+let agentSocket = null;
+let agentInfo = null; // { injector, screen } once the agent has said it's ready
+let agentReconnectTimer = null;
+
+// Chat
+let chatTranscript = []; // { id, role, sender, text, sentAt, own } for the current session
+let chatMessageIds = new Set(); // Messages already shown - relayed copies can arrive twice
+let chatUnread = 0;
+
+// Recording
+let mediaRecorder = null;
+let recordingStartedAt = 0; // 0 = we are not recording
+let recordingTimer = null;
+let recordingDb = null; // Promise of the IndexedDB database holding recorded chunks
+let recordingPeers = new Map(); // Others in the session who are recording: socket id -> role
+
+// Peer connection recovery: ICE restarts with exponential backoff
+const recoveryConfig = {
+    // Restart attempts before a connection is given up
+    maxAttempts: 5,
+    // Wait before the first attempt (a 'disconnected' connection often recovers by itself)
+    baseDelay: 1000,
+    // Upper bound for the backoff between attempts
+    maxDelay: 10000
+};
+
+// Session info kept across page reloads so the seat in the room can be resumed
+const SESSION_STORAGE_KEY = 'skibidi-session';
 
 // ============================================
 // WebRTC Configuration (Optimized for Low Latency)
 // ============================================
+
+// Only used if the signaling server can't provide its STUN/TURN list
+const FALLBACK_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+    { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+// iceServers is replaced by refreshIceServers() before connections are made
 const rtcConfig = {
-    iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun2.l.google.com:19302' }
-    ],
+    iceServers: FALLBACK_ICE_SERVERS,
     iceCandidatePoolSize: 10
 };
 
+// Refetch TURN credentials this long before they expire
+const ICE_SERVER_REFRESH_MARGIN = 60 * 1000;
+
+const screenAudioConstraints = {
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+};
+
 // Optimized constraints for low-latency, high-quality screen sharing
+// (resolution, frame rate, cursor and audio are overwritten by applySettings())
 const screenConstraints = {
     video: {
         cursor: 'always',
@@ -62,11 +165,7 @@ const screenConstraints = {
         width: { ideal: 1280, max: 1920 },
         height: { ideal: 720, max: 1080 }
     },
-    audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-    }
+    audio: screenAudioConstraints
 };
 
 // Remote Control Configuration (Gaming-Optimized)
@@ -78,9 +177,158 @@ const remoteControlConfig = {
     // Maximum events per batch
     maxBatchSize: 50,
     // Enable prediction for smoother cursor movement
-    enablePrediction: true
+    enablePrediction: true,
+    // Input round-trip probe (ping/pong over the unreliable channel)
+    pingInterval: 1000,
+    latencyHistorySize: 60,
+    // Furthest ahead the predicted cursor extrapolates, and how fast it eases toward the target
+    maxPredictionMs: 100,
+    predictionSmoothing: 0.5
+};
+
+// Binary control protocol versions this client speaks (JSON is always understood)
+const CONTROL_PROTOCOL_VERSIONS = [1, 2];
+
+// Remote control permission levels and the input events each one allows
+const CONTROL_LEVELS = {
+    view: [],
+    mouse: ['mousemove', 'mousedown', 'mouseup', 'wheel'],
+    full: ['mousemove', 'mousedown', 'mouseup', 'wheel', 'keydown', 'keyup']
+};
+const CONTROL_LEVEL_LABELS = {
+    view: 'view only',
+    mouse: 'mouse only',
+    full: 'keyboard + mouse'
+};
+
+// Host panic hotkey: takes control back from every viewer
+const CONTROL_REVOKE_HOTKEY = { code: 'KeyX', label: 'Ctrl+Shift+X' };
+
+// Virtual key panel labels that aren't KeyboardEvent names -> what a real keyboard sends
+const VIRTUAL_KEYS = {
+    Esc: { key: 'Escape', code: 'Escape' },
+    Ctrl: { key: 'Control', code: 'ControlLeft' },
+    Alt: { key: 'Alt', code: 'AltLeft' },
+    Shift: { key: 'Shift', code: 'ShiftLeft' },
+    Win: { key: 'Meta', code: 'MetaLeft' }
+};
+
+// Clipboard sharing limits (a whole item has to fit in one data channel message)
+const clipboardConfig = {
+    maxTextBytes: 100 * 1024,
+    maxImageBytes: 150 * 1024,
+    imageType: 'image/png'
+};
+
+// File transfer over the 'fileTransfer' data channel
+const fileTransferConfig = {
+    chunkSize: 64 * 1024,
+    // Files are hashed and reassembled in memory
+    maxFileSize: 256 * 1024 * 1024,
+    // Pause sending above highWaterMark until the buffer drains to lowWaterMark
+    highWaterMark: 4 * 1024 * 1024,
+    lowWaterMark: 1024 * 1024
+};
+const FILE_CHUNK_HEADER_SIZE = 8; // transfer id u32 + chunk index u32
+// This tab's transfer session; kept across reloads so interrupted transfers still find it
+const TRANSFER_SESSION_STORAGE_KEY = 'skibidi-transfer-session';
+
+// Companion agent connection (see agent/index.js)
+const agentConfig = {
+    defaultUrl: 'ws://127.0.0.1:7071',
+    // Retry while hosting, in case the agent is started after sharing begins
+    reconnectDelay: 10000
+};
+const AGENT_STORAGE_KEY = 'skibidi-agent';
+
+// Chat settings (the server enforces the same length limit)
+const chatConfig = {
+    maxMessageLength: 2000
+};
+
+const CHAT_STORAGE_KEY = 'skibidi-chat';
+
+// Recording settings
+const recordingConfig = {
+    timeslice: 5000, // Hand a chunk to IndexedDB every 5 seconds
+    mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+};
+
+const RECORDING_DB_NAME = 'skibidi-recordings';
+
+// User settings (edited in the settings dialog, persisted in localStorage)
+const DEFAULT_SETTINGS = {
+    resolution: '1280x720',
+    frameRate: 30,
+    cursor: 'always', // 'always' | 'motion' | 'never'
+    audio: true,
+    codec: '', // Preferred video codec mime type, '' = browser default
+    contentHint: 'detail', // 'detail' keeps text sharp, 'motion' keeps the frame rate up
+    maxBitrate: 3000, // kbps per viewer
+    batchInterval: 16,
+    mouseMoveThrottle: 8,
+    maxBatchSize: 50
+};
+
+// Allowed values for each setting: a list of choices or a range
+const SETTINGS_LIMITS = {
+    resolution: { choices: ['854x480', '1280x720', '1920x1080', '2560x1440'] },
+    frameRate: { choices: [15, 30, 60] },
+    cursor: { choices: ['always', 'motion', 'never'] },
+    codec: { choices: ['', 'video/VP8', 'video/VP9', 'video/H264', 'video/AV1'] },
+    contentHint: { choices: ['detail', 'motion'] },
+    maxBitrate: { min: 500, max: 20000 },
+    batchInterval: { min: 4, max: 100 },
+    mouseMoveThrottle: { min: 0, max: 100 },
+    maxBatchSize: { min: 1, max: 200 }
+};
+
+const SETTINGS_STORAGE_KEY = 'skibidi-settings';
+
+// Adaptive quality (host): each viewer's stream moves along a ladder one
+// rung at a time, and needs several samples in a row to move so it doesn't flap
+const qualityConfig = {
+    interval: 2000,
+    downgradeAfter: 2, // Congested samples in a row before stepping down
+    upgradeAfter: 5, // Healthy samples in a row before stepping back up
+    upgradeCooldown: 15000, // No stepping up this soon after stepping down
+    congestedLoss: 0.05,
+    congestedRtt: 0.3, // seconds
+    healthyLoss: 0.02,
+    healthyRtt: 0.15
 };
 
+// Rungs from best to worst: resolution divisor, and frame rate and bitrate
+// as a share of the settings
+const QUALITY_LADDERS = {
+    // Keep text readable - give up frame rate first
+    sharpness: [
+        { scale: 1, framerate: 1, bitrate: 1 },
+        { scale: 1, framerate: 0.5, bitrate: 0.7 },
+        { scale: 1, framerate: 0.25, bitrate: 0.5 },
+        { scale: 1.5, framerate: 0.25, bitrate: 0.35 },
+        { scale: 2, framerate: 0.25, bitrate: 0.25 }
+    ],
+    // Keep motion fluid - give up resolution first
+    smoothness: [
+        { scale: 1, framerate: 1, bitrate: 1 },
+        { scale: 1.5, framerate: 1, bitrate: 0.7 },
+        { scale: 2, framerate: 1, bitrate: 0.5 },
+        { scale: 2, framerate: 0.5, bitrate: 0.35 },
+        { scale: 3, framerate: 0.5, bitrate: 0.25 }
+    ]
+};
+
+// Viewer preferences; 'auto' follows the host's "Optimize for" setting
+const QUALITY_MODES = ['auto', 'sharpness', 'smoothness'];
+const QUALITY_MODE_LABELS = {
+    auto: '🎯 Quality: Auto',
+    sharpness: '🔍 Prefer Sharpness',
+    smoothness: '🏃 Prefer Smoothness'
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
 // ============================================
 // Socket.IO Connection
 // ============================================
@@ -106,6 +354,16 @@ function initializeSocket() {
         console.log('✅ Connected to signaling server');
         console.log('Socket ID:', socket.id);
         showStatusMessage('Connected to server', 'success');
+        
+        // Warm the STUN/TURN config so the first connection doesn't wait for it
+        refreshIceServers();
+        
+        // Reclaim our seat after a network blip, or after a page reload
+        // (the in-memory token only survives the former)
+        const savedSession = loadSession();
+        if (savedSession) {
+            resumeSession(savedSession, !resumeToken);
+        }
     });
 
     socket.on('connect_error', (error) => {
@@ -115,8 +373,8 @@ function initializeSocket() {
 
     socket.on('disconnect', (reason) => {
         console.log('❌ Disconnected from signaling server. Reason:', reason);
-        if (isConnected) {
-            showStatusMessage('Connection to server lost', 'error');
+        if (currentCode) {
+            showStatusMessage('Connection to server lost - trying to resume your session...', 'error');
         }
     });
 
@@ -134,20 +392,40 @@ function initializeSocket() {
         showStatusMessage('Could not reconnect to server', 'error');
     });
 
+    socket.on('viewer-request', (request) => {
+        console.log(`🚪 Viewer ${request.viewerId} is asking to join`);
+        showViewerRequest(request);
+    });
+
+    socket.on('viewer-request-cancelled', (viewerId) => {
+        console.log(`🚪 Viewer ${viewerId} is no longer waiting`);
+        dismissViewerRequest(viewerId);
+    });
+
+    socket.on('join-pending', () => {
+        updateConnectionStatus('connecting', 'Waiting for host approval...');
+        showStatusMessage('Waiting for the host to accept your request...', 'info');
+    });
+
     socket.on('viewer-joined', async (viewerId) => {
         console.log(`👁️ Viewer joined: ${viewerId}`);
-        remotePeerId = viewerId;
         showStatusMessage('Viewer connected! Creating peer connection...', 'info');
-        
-        // Small delay to ensure both sides are ready
-        setTimeout(async () => {
-            try {
-                await createOffer(viewerId);
-            } catch (error) {
-                console.error('Error creating offer:', error);
-                showStatusMessage('Failed to create connection', 'error');
-            }
-        }, 500);
+        connectToViewer(viewerId);
+    });
+
+    socket.on('peer-reconnecting', (data) => {
+        console.log(`⏳ ${data.role} ${data.peerId} lost its signaling connection`);
+        if (role === 'viewer') {
+            updateConnectionStatus('connecting', 'Host reconnecting...');
+            showStatusMessage('Host connection interrupted - waiting for them to come back...', 'info');
+        } else {
+            showStatusMessage('A viewer lost connection - waiting for them to come back...', 'info');
+        }
+    });
+
+    socket.on('peer-resumed', (data) => {
+        console.log(`🔁 ${data.role} ${data.previousId} resumed as ${data.peerId}${data.fresh ? ' (fresh)' : ''}`);
+        handlePeerResumed(data);
     });
 
     socket.on('offer', async (data) => {
@@ -158,12 +436,12 @@ function initializeSocket() {
 
     socket.on('answer', async (data) => {
         console.log(`📨 Received answer from ${data.from}`);
-        await handleAnswer(data.answer);
+        await handleAnswer(data.answer, data.from);
     });
 
     socket.on('ice-candidate', async (data) => {
         console.log(`🧊 Received ICE candidate from ${data.from}`);
-        await handleIceCandidate(data.candidate);
+        await handleIceCandidate(data.candidate, data.from);
     });
 
     socket.on('host-disconnected', () => {
@@ -171,13 +449,30 @@ function initializeSocket() {
         disconnectFromRemote();
     });
 
-    socket.on('viewer-disconnected', () => {
+    // An operator closed the room from the admin dashboard
+    socket.on('room-closed', () => {
+        showStatusMessage('This session was closed by an administrator', 'error');
+        disconnectFromRemote();
+    });
+
+    socket.on('recording-state', (data) => {
+        handleRecordingState(data);
+    });
+
+    socket.on('chat-message', (message) => {
+        receiveChatMessage(message);
+    });
+
+    socket.on('viewer-disconnected', (viewerId) => {
+        console.log(`👋 Viewer disconnected: ${viewerId}`);
         showStatusMessage('Viewer disconnected', 'info');
-        if (peerConnection) {
-            peerConnection.close();
-            peerConnection = null;
-        }
-        remotePeerId = null;
+        viewersAwaitingStream.delete(viewerId);
+        recordingPeers.delete(viewerId);
+        updateRecordingIndicator();
+        abandonTransfers(viewerId);
+        closePeerConnection(viewerId);
+        viewerLabels.delete(viewerId);
+        updateHostStatus();
     });
 }
 
@@ -185,27 +480,97 @@ function initializeSocket() {
 // WebRTC Functions
 // ============================================
 
+/**
+ * Fetch the STUN/TURN server list (with time-limited TURN credentials) from
+ * the signaling server into rtcConfig, unless the cached list is still valid.
+ * Falls back to the public STUN servers if the server doesn't answer.
+ */
+async function refreshIceServers() {
+    const stillValid = iceServersExpireAt === Infinity ||
+        iceServersExpireAt - Date.now() > ICE_SERVER_REFRESH_MARGIN;
+    if (stillValid || !socket || !socket.connected) return;
+    
+    try {
+        const response = await socket.timeout(5000).emitWithAck('get-ice-servers');
+        rtcConfig.iceServers = response.iceServers;
+        // No expiry means no TURN credentials, so the list never goes stale
+        iceServersExpireAt = response.expiresAt || Infinity;
+        console.log(`🧊 Loaded ${response.iceServers.length} ICE server entries${response.expiresAt ? ' (with TURN)' : ''}`);
+    } catch (error) {
+        console.warn('Could not load ICE servers, using public STUN servers:', error);
+        rtcConfig.iceServers = FALLBACK_ICE_SERVERS;
+    }
+}
+
 /**
  * Create peer connection with optimized settings
+ * @param {string} peerId - Socket id of the remote peer (a viewer for the host, the host for a viewer)
  */
-function createPeerConnection() {
-    peerConnection = new RTCPeerConnection(rtcConfig);
+function createPeerConnection(peerId) {
+    // Replace any stale connection to the same peer
+    closePeerConnection(peerId);
 
-    // Create data channel for remote control (host creates it)
+    const peerConnection = new RTCPeerConnection(rtcConfig);
+    peerConnections.set(peerId, peerConnection);
+
+    // Create data channels for remote control (host creates them per viewer):
+    // mouse moves can be dropped, but a lost key release would leave a key stuck
     if (role === 'host') {
-        dataChannel = peerConnection.createDataChannel('remoteControl', {
+        const dataChannel = peerConnection.createDataChannel('remoteControl', {
             ordered: false, // Allow out-of-order for lower latency
             maxRetransmits: 0 // Don't retransmit for real-time control
         });
-        setupDataChannel(dataChannel);
-        console.log('📡 Data channel created by host');
+        dataChannels.set(peerId, dataChannel);
+        setupDataChannel(dataChannel, peerConnection);
+        
+        const reliableChannel = peerConnection.createDataChannel('remoteControlReliable', {
+            ordered: true
+        });
+        reliableChannels.set(peerId, reliableChannel);
+        setupDataChannel(reliableChannel, peerConnection);
+        
+        const clipboardChannel = peerConnection.createDataChannel('clipboard', {
+            ordered: true
+        });
+        clipboardChannels.set(peerId, clipboardChannel);
+        setupClipboardChannel(clipboardChannel, peerConnection);
+        
+        const fileChannel = peerConnection.createDataChannel('fileTransfer', {
+            ordered: true
+        });
+        fileChannels.set(peerId, fileChannel);
+        setupFileChannel(fileChannel, peerConnection);
+        
+        const chatChannel = peerConnection.createDataChannel('chat', {
+            ordered: true
+        });
+        chatChannels.set(peerId, chatChannel);
+        setupChatChannel(chatChannel, peerConnection);
+        console.log(`📡 Data channels created by host for ${peerId}`);
     }
 
-    // Handle data channel from host (viewer receives it)
+    // Handle data channels from host (viewer receives them)
     peerConnection.ondatachannel = (event) => {
-        dataChannel = event.channel;
-        setupDataChannel(dataChannel);
-        console.log('📡 Data channel received by viewer');
+        // Looked up when the channel arrives - the host's id changes if it resumes
+        const hostId = getPeerId(peerConnection);
+        if (event.channel.label === 'clipboard') {
+            clipboardChannels.set(hostId, event.channel);
+            setupClipboardChannel(event.channel, peerConnection);
+        } else if (event.channel.label === 'fileTransfer') {
+            fileChannels.set(hostId, event.channel);
+            setupFileChannel(event.channel, peerConnection);
+        } else if (event.channel.label === 'chat') {
+            chatChannels.set(hostId, event.channel);
+            setupChatChannel(event.channel, peerConnection);
+        } else {
+            if (event.channel.label === 'remoteControlReliable') {
+                reliableChannels.set(hostId, event.channel);
+            } else {
+                dataChannels.set(hostId, event.channel);
+            }
+            setupDataChannel(event.channel, peerConnection);
+        }
+        console.log(`📡 Data channel '${event.channel.label}' received by viewer`);
     };
 
     // Add tracks from local stream (for host)
@@ -215,17 +580,10 @@ function createPeerConnection() {
             
             // Optimize encoding parameters for low latency
             if (track.kind === 'video') {
-                const parameters = sender.getParameters();
-                if (!parameters.encodings) {
-                    parameters.encodings = [{}];
-                }
-                // Set parameters for low latency
-                parameters.encodings[0].maxBitrate = 3000000; // 3 Mbps for stable connection
-                parameters.encodings[0].priority = 'high';
-                parameters.encodings[0].networkPriority = 'high';
-                sender.setParameters(parameters);
+                applyVideoEncoding(sender, peerId);
             }
         });
+        applyCodecPreference(peerConnection);
     }
 
     // Handle incoming tracks (for viewer)
@@ -242,9 +600,9 @@ function createPeerConnection() {
     peerConnection.onicecandidate = (event) => {
         if (event.candidate) {
             console.log('🧊 Sending ICE candidate');
-            socket.emit('ice-candidate', {
+            emitSignal('ice-candidate', {
                 candidate: event.candidate,
-                to: remotePeerId
+                to: getPeerId(peerConnection)
             });
         }
     };
@@ -254,50 +612,143 @@ function createPeerConnection() {
         console.log(`🔌 Connection state: ${peerConnection.connectionState}`);
         
         if (peerConnection.connectionState === 'connected') {
+            const recovered = peerRecovery.has(peerConnection);
+            stopPeerRecovery(peerConnection);
             isConnected = true;
-            updateConnectionStatus('connected', `Connected to ${currentCode}`);
-            showStatusMessage('Successfully connected!', 'success');
             
-            // Reset button state for viewer
             if (role === 'viewer') {
+                updateConnectionStatus('connected', `Connected to ${currentCode}`);
+                showStatusMessage(recovered ? 'Connection restored!' : 'Successfully connected!', 'success');
+                
+                // Reset button state for viewer
                 connectBtn.disabled = false;
                 connectBtn.innerHTML = '<span class="btn-icon">🔗</span>Connect';
+                
+                startStatsMonitoring();
+            } else {
+                updateHostStatus();
+                showStatusMessage(recovered ? 'Viewer connection restored!' : 'Viewer connected!', 'success');
             }
-            
-            startStatsMonitoring();
         } else if (peerConnection.connectionState === 'disconnected' || 
                    peerConnection.connectionState === 'failed') {
-            showStatusMessage('Connection lost', 'error');
-            disconnectFromRemote();
+            schedulePeerRecovery(peerConnection);
+            
+            if (role === 'viewer') {
+                updateConnectionStatus('reconnecting', 'Reconnecting...');
+                showStatusMessage('Connection interrupted - reconnecting...', 'info');
+            } else {
+                // Losing one viewer must not end the session for the others
+                updateHostStatus();
+            }
         }
     };
 
     return peerConnection;
 }
 
+/**
+ * Send an offer/answer/ICE candidate through the signaling server,
+ * reporting messages the server refused to relay
+ */
+function emitSignal(event, payload) {
+    socket.emit(event, payload, (response) => {
+        if (response && !response.success) {
+            console.warn(`⚠️ Server refused to relay ${event}: ${response.message}`);
+            if (event !== 'ice-candidate') {
+                showStatusMessage(`Signaling error: ${response.message}`, 'error');
+            }
+        }
+    });
+}
+
+/**
+ * Close the peer connection and data channel for a single peer
+ */
+function closePeerConnection(peerId) {
+    for (const channelMap of [dataChannels, reliableChannels, clipboardChannels, fileChannels, chatChannels]) {
+        const dataChannel = channelMap.get(peerId);
+        if (dataChannel) {
+            dataChannel.close();
+            channelMap.delete(peerId);
+        }
+    }
+    
+    const peerConnection = peerConnections.get(peerId);
+    if (peerConnection) {
+        stopPeerRecovery(peerConnection);
+        peerConnection.close();
+        peerConnections.delete(peerId);
+    }
+    qualityControllers.delete(peerId);
+    
+    // A viewer that is gone can't keep (or ask for) control
+    dismissControlRequest(peerId);
+    if (controlPermissions.has(peerId)) {
+        revokeControl(peerId);
+    }
+}
+
+/**
+ * Find which peer a connection belongs to. Peer ids change when a
+ * participant resumes with a new socket, so closures look them up.
+ */
+function getPeerId(peerConnection) {
+    for (const [peerId, connection] of peerConnections) {
+        if (connection === peerConnection) return peerId;
+    }
+    return null;
+}
+
+/**
+ * Move a peer's connection state to its new socket id after it resumed
+ */
+function rekeyPeer(previousId, peerId) {
+    // Its buttons are bound to the old id; the viewer can simply ask again
+    dismissControlRequest(previousId);
+    
+    for (const peerMap of [peerConnections, dataChannels, reliableChannels, clipboardChannels, fileChannels, chatChannels, controlPermissions, viewerLabels, qualityControllers, recordingPeers, peerTransferSessions]) {
+        if (peerMap.has(previousId)) {
+            peerMap.set(peerId, peerMap.get(previousId));
+            peerMap.delete(previousId);
+        }
+    }
+}
+
+/**
+ * Get the unreliable remote control channel to the host (viewer side)
+ */
+function getControlChannel() {
+    return dataChannels.get(remotePeerId) || null;
+}
+
+/**
+ * Get the reliable, ordered remote control channel to the host (viewer side)
+ */
+function getReliableChannel() {
+    return reliableChannels.get(remotePeerId) || null;
+}
+
 /**
  * Create and send offer to viewer
  */
 async function createOffer(viewerId) {
     try {
-        createPeerConnection();
+        await refreshIceServers();
+        const peerConnection = createPeerConnection(viewerId);
         
         const offer = await peerConnection.createOffer({
             offerToReceiveAudio: true,
             offerToReceiveVideo: true
         });
 
-        // Modify SDP for lower latency
-        offer.sdp = optimizeSDPForLatency(offer.sdp);
-        
         await peerConnection.setLocalDescription(offer);
         
-        socket.emit('offer', {
+        emitSignal('offer', {
             offer: offer,
             to: viewerId
         });
         
-        console.log('📤 Offer sent to viewer');
+        console.log(`📤 Offer sent to viewer ${viewerId}`);
     } catch (error) {
         console.error('Error creating offer:', error);
         showStatusMessage('Failed to create connection', 'error');
@@ -305,22 +756,138 @@ async function createOffer(viewerId) {
 }
 
 /**
- * Handle incoming offer and create answer
+ * Renegotiate an existing connection with fresh ICE candidates (host side)
+ */
+async function restartIce(viewerId) {
+    const peerConnection = peerConnections.get(viewerId);
+    if (!peerConnection) return;
+    
+    try {
+        // TURN credentials may have expired since the connection was made
+        await refreshIceServers();
+        peerConnection.setConfiguration(rtcConfig);
+        
+        const offer = await peerConnection.createOffer({ iceRestart: true });
+        await peerConnection.setLocalDescription(offer);
+        
+        emitSignal('offer', {
+            offer: offer,
+            to: viewerId
+        });
+        
+        console.log(`🔄 ICE restart offer sent to viewer ${viewerId}`);
+    } catch (error) {
+        console.error('Error restarting ICE:', error);
+    }
+}
+
+/**
+ * Schedule the next recovery attempt for a disconnected or failed connection.
+ * The host (the offerer) performs ICE restarts; the viewer waits for them
+ * on the same schedule and gives up when the host would.
+ */
+function schedulePeerRecovery(peerConnection) {
+    let recovery = peerRecovery.get(peerConnection);
+    if (!recovery) {
+        recovery = { attempts: 0, timer: null };
+        peerRecovery.set(peerConnection, recovery);
+    }
+    if (recovery.timer) return;
+    
+    const delay = Math.min(recoveryConfig.baseDelay * 2 ** recovery.attempts, recoveryConfig.maxDelay);
+    recovery.timer = setTimeout(() => attemptPeerRecovery(peerConnection), delay);
+}
+
+/**
+ * Run one recovery attempt, or give up once they are exhausted
+ */
+function attemptPeerRecovery(peerConnection) {
+    const recovery = peerRecovery.get(peerConnection);
+    const peerId = getPeerId(peerConnection);
+    if (!recovery || !peerId) return;
+    
+    recovery.timer = null;
+    if (peerConnection.connectionState === 'connected') {
+        stopPeerRecovery(peerConnection);
+        return;
+    }
+    
+    if (recovery.attempts >= recoveryConfig.maxAttempts) {
+        console.error(`❌ Giving up on connection to ${peerId} after ${recovery.attempts} attempts`);
+        if (role === 'viewer') {
+            showStatusMessage('Connection lost', 'error');
+            disconnectFromRemote();
+        } else {
+            showStatusMessage('Lost connection to a viewer', 'error');
+            closePeerConnection(peerId);
+            updateHostStatus();
+        }
+        return;
+    }
+    
+    recovery.attempts++;
+    console.log(`🔄 Recovery attempt ${recovery.attempts}/${recoveryConfig.maxAttempts} for ${peerId}`);
+    
+    if (role === 'host') {
+        restartIce(peerId);
+        updateHostStatus();
+    } else {
+        updateConnectionStatus('reconnecting', `Reconnecting... (attempt ${recovery.attempts}/${recoveryConfig.maxAttempts})`);
+    }
+    
+    // Check again after the next backoff interval
+    schedulePeerRecovery(peerConnection);
+}
+
+/**
+ * Stop recovering a connection (it reconnected or was closed)
+ */
+function stopPeerRecovery(peerConnection) {
+    const recovery = peerRecovery.get(peerConnection);
+    if (recovery) {
+        clearTimeout(recovery.timer);
+        peerRecovery.delete(peerConnection);
+    }
+}
+
+/**
+ * Start a WebRTC session with a viewer, or remember to once we have a stream
+ */
+function connectToViewer(viewerId) {
+    if (!localStream) {
+        viewersAwaitingStream.add(viewerId);
+        return;
+    }
+    
+    // Small delay to ensure both sides are ready
+    setTimeout(async () => {
+        try {
+            await createOffer(viewerId);
+        } catch (error) {
+            console.error('Error creating offer:', error);
+            showStatusMessage('Failed to create connection', 'error');
+        }
+    }, 500);
+}
+
+/**
+ * Handle incoming offer and create answer. Offers for an existing
+ * connection (ICE restarts) renegotiate it instead of replacing it.
  */
 async function handleOffer(offer, from) {
     try {
-        createPeerConnection();
+        let peerConnection = peerConnections.get(from);
+        if (!peerConnection) {
+            await refreshIceServers();
+            peerConnection = createPeerConnection(from);
+        }
         
         await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
         
         const answer = await peerConnection.createAnswer();
-        
-        // Modify SDP for lower latency
-        answer.sdp = optimizeSDPForLatency(answer.sdp);
-        
         await peerConnection.setLocalDescription(answer);
         
-        socket.emit('answer', {
+        emitSignal('answer', {
             answer: answer,
             to: from
         });
@@ -335,7 +902,13 @@ async function handleOffer(offer, from) {
 /**
  * Handle incoming answer
  */
-async function handleAnswer(answer) {
+async function handleAnswer(answer, from) {
+    const peerConnection = peerConnections.get(from);
+    if (!peerConnection) {
+        console.warn(`Ignoring answer from unknown peer ${from}`);
+        return;
+    }
+    
     try {
         await peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
         console.log('✅ Answer received and processed');
@@ -347,7 +920,13 @@ async function handleAnswer(answer) {
 /**
  * Handle incoming ICE candidate
  */
-async function handleIceCandidate(candidate) {
+async function handleIceCandidate(candidate, from) {
+    const peerConnection = peerConnections.get(from);
+    if (!peerConnection) {
+        console.warn(`Ignoring ICE candidate from unknown peer ${from}`);
+        return;
+    }
+    
     try {
         await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
         console.log('✅ ICE candidate added');
@@ -356,24 +935,6 @@ async function handleIceCandidate(candidate) {
     }
 }
 
-/**
- * Optimize SDP for low latency
- */
-function optimizeSDPForLatency(sdp) {
-    try {
-        // Set moderate bitrate for stable connection
-        let modifiedSdp = sdp.replace(/a=fmtp:(\d+) /g, 'a=fmtp:$1 x-google-max-bitrate=3000;x-google-min-bitrate=500;x-google-start-bitrate=1500;');
-        
-        // Enable hardware acceleration hints for H264
-        modifiedSdp = modifiedSdp.replace(/a=rtpmap:(\d+) H264/g, 'a=rtpmap:$1 H264\r\na=fmtp:$1 profile-level-id=42e01f;level-asymmetry-allowed=1;packetization-mode=1');
-        
-        return modifiedSdp;
-    } catch (error) {
-        console.warn('Error optimizing SDP:', error);
-        return sdp; // Return original if optimization fails
-    }
-}
-
 /**
  * Display remote stream in video element
  */
@@ -399,23 +960,29 @@ function displayRemoteStream() {
         const controlToggle = document.createElement('button');
         controlToggle.id = 'remoteControlToggle';
         controlToggle.className = 'control-toggle-btn';
-        controlToggle.innerHTML = '🎮 Enable Remote Control';
         controlToggle.style.cssText = 'position: absolute; top: 10px; left: 10px; background: rgba(74, 144, 226, 0.9); color: white; padding: 10px 20px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; font-size: 14px; transition: all 0.3s;';
         
         controlToggle.addEventListener('click', () => {
-            const newState = !remoteControlEnabled;
-            toggleRemoteControl(newState);
-            
-            if (newState) {
-                controlToggle.innerHTML = '🎮 Disable Remote Control';
-                controlToggle.style.background = 'rgba(231, 76, 60, 0.9)';
+            if (remoteControlEnabled || controlRequestPending) {
+                releaseControl();
             } else {
-                controlToggle.innerHTML = '🎮 Enable Remote Control';
-                controlToggle.style.background = 'rgba(74, 144, 226, 0.9)';
+                requestControl('full');
             }
         });
         
         screenDisplay.appendChild(controlToggle);
+        updateControlToggle();
+        
+        // Clipboard actions (the host approves each transfer)
+        const clipboardBar = document.createElement('div');
+        clipboardBar.style.cssText = 'position: absolute; top: 60px; left: 10px; display: flex; gap: 8px;';
+        clipboardBar.appendChild(createControlButton('📋 Send Clipboard', sendClipboardToHost));
+        clipboardBar.appendChild(createControlButton('📥 Get Host Clipboard', requestHostClipboard));
+        const qualityButton = createControlButton(QUALITY_MODE_LABELS[qualityMode], cycleQualityMode);
+        qualityButton.id = 'qualityModeBtn';
+        qualityButton.title = 'What the host keeps when the network struggles';
+        clipboardBar.appendChild(qualityButton);
+        screenDisplay.appendChild(clipboardBar);
         
         // Create virtual control panel
         const controlPanel = createVirtualControlPanel();
@@ -424,6 +991,7 @@ function displayRemoteStream() {
     
     screenDisplay.appendChild(videoElement);
     screenDisplay.appendChild(statsDiv);
+    statsBtn.style.display = '';
     screenControls.style.display = 'flex';
 }
 
@@ -562,6 +1130,7 @@ function createControlButton(label, onClick, small = false) {
  * Send virtual mouse click
  */
 function sendVirtualMouseClick(button) {
+    const dataChannel = getReliableChannel();
     if (!dataChannel || dataChannel.readyState !== 'open') {
         showStatusMessage('Remote control not connected', 'error');
         return;
@@ -598,17 +1167,24 @@ function sendVirtualMouseClick(button) {
 /**
  * Send virtual key press
  */
-function sendVirtualKey(key) {
+function sendVirtualKey(label) {
+    const dataChannel = getReliableChannel();
     if (!dataChannel || dataChannel.readyState !== 'open') {
         showStatusMessage('Remote control not connected', 'error');
         return;
     }
+    if (controlLevel !== 'full') {
+        showStatusMessage('The host only allowed mouse control', 'error');
+        return;
+    }
+    
+    const { key, code } = VIRTUAL_KEYS[label] || { key: label, code: label };
     
     // Send keydown
     sendControlEventImmediate({
         type: 'keydown',
         key: key,
-        code: key
+        code: code
     });
     
     // Send keyup after short delay
@@ -616,11 +1192,11 @@ function sendVirtualKey(key) {
         sendControlEventImmediate({
             type: 'keyup',
             key: key,
-            code: key
+            code: code
         });
     }, 100);
     
-    showStatusMessage(`Sent key: ${key}`, 'success');
+    showStatusMessage(`Sent key: ${label}`, 'success');
 }
 
 /**
@@ -632,114 +1208,660 @@ async function startStatsMonitoring() {
     }
     
     statsInterval = setInterval(async () => {
+        const peerConnection = peerConnections.get(remotePeerId);
         if (!peerConnection) return;
         
         try {
-            const stats = await peerConnection.getStats();
-            let statsText = '';
-            let videoStats = null;
+            const sample = statsTracker.add(await peerConnection.getStats());
+            if (!sample) return;
             
-            stats.forEach(report => {
-                if (report.type === 'inbound-rtp' && report.kind === 'video') {
-                    videoStats = report;
-                }
-            });
+            const statsText = `
+                📊 FPS: ${formatStat(sample.fps)}
+                📈 Bitrate: ${formatStat(sample.bitrate, ' kbps')}
+                📦 Packet Loss: ${formatStat(sample.loss, '%')}
+                🌐 RTT: ${formatStat(sample.rtt, ' ms')}
+                🎮 Input RTT: ${formatInputLatency()}
+            `;
             
-            if (videoStats) {
-                const bitrate = Math.round((videoStats.bytesReceived * 8) / 1000); // kbps
-                const fps = videoStats.framesPerSecond || 0;
-                const packetsLost = videoStats.packetsLost || 0;
-                
-                statsText = `
-                    📊 FPS: ${fps}
-                    📈 Bitrate: ${bitrate} kbps
-                    📦 Packets Lost: ${packetsLost}
-                `;
-                
-                const statsEl = document.getElementById('streamStats');
-                if (statsEl) {
-                    statsEl.textContent = statsText.trim();
-                }
+            const statsEl = document.getElementById('streamStats');
+            if (statsEl) {
+                statsEl.textContent = statsText.trim();
             }
+            updateStatsPanel();
         } catch (error) {
             console.error('Error getting stats:', error);
         }
     }, 1000);
 }
 
-// ============================================
-// Remote Control Functions (Gaming-Optimized)
-// ============================================
+function formatStat(value, unit = '') {
+    return value === null ? '-' : `${value}${unit}`;
+}
 
 /**
- * Setup data channel for remote control
+ * Build the metric rows (value + sparkline) of the statistics panel
  */
-function setupDataChannel(channel) {
-    channel.onopen = () => {
-        console.log('✅ Data channel opened - Remote control ready');
-        if (role === 'viewer') {
-            showStatusMessage('Remote control ready! Click to enable.', 'success');
-        }
-    };
-
-    channel.onclose = () => {
-        console.log('❌ Data channel closed');
-        if (remoteControlEnabled) {
-            toggleRemoteControl(false);
-        }
-    };
-
-    channel.onerror = (error) => {
-        console.error('Data channel error:', error);
-    };
+function buildStatsPanel() {
+    STATS_METRICS.forEach(metric => {
+        const row = document.createElement('div');
+        row.className = 'stats-metric';
+        
+        const label = document.createElement('span');
+        label.textContent = metric.label;
+        
+        const value = document.createElement('strong');
+        value.id = `statsValue-${metric.key}`;
+        value.textContent = '-';
+        
+        const canvas = document.createElement('canvas');
+        canvas.id = `statsChart-${metric.key}`;
+        canvas.width = 240;
+        canvas.height = 32;
+        
+        row.appendChild(label);
+        row.appendChild(value);
+        row.appendChild(canvas);
+        statsMetrics.appendChild(row);
+    });
+}
+
+/**
+ * Redraw the statistics panel from the tracker's history (if it is open)
+ */
+function updateStatsPanel() {
+    if (statsPanel.style.display === 'none') return;
+    
+    const latest = statsTracker.latest();
+    STATS_METRICS.forEach(metric => {
+        document.getElementById(`statsValue-${metric.key}`).textContent =
+            formatStat(latest && latest[metric.key], ` ${metric.unit}`);
+        drawSparkline(document.getElementById(`statsChart-${metric.key}`),
+            statsTracker.samples.map(sample => sample[metric.key]), metric.color);
+    });
+    
+    const details = latest ? {
+        Resolution: latest.width ? `${latest.width}x${latest.height}` : '-',
+        Codec: latest.codec || '-',
+        Connection: latest.candidateType ? `${latest.candidateType}${latest.protocol ? ` (${latest.protocol})` : ''}` : '-',
+        'Frames dropped': latest.framesDropped,
+        Freezes: `${latest.freezeCount} (${latest.freezeDuration}s)`
+    } : {};
+    
+    statsDetails.textContent = '';
+    Object.entries(details).forEach(([name, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = name;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        statsDetails.appendChild(term);
+        statsDetails.appendChild(description);
+    });
+}
+
+function toggleStatsPanel(open) {
+    statsPanel.style.display = open ? 'block' : 'none';
+    updateStatsPanel();
+}
+
+/**
+ * Download the collected samples, including the raw getStats() reports
+ */
+function exportStatsSamples() {
+    if (statsTracker.samples.length === 0) {
+        showStatusMessage('No statistics collected yet', 'info');
+        return;
+    }
+    
+    const data = {
+        code: currentCode,
+        exportedAt: new Date().toISOString(),
+        samples: statsTracker.samples
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+        `skibidi-stats-${normalizeSharingCode(currentCode || '')}-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+// ============================================
+// Session Resume
+// ============================================
+
+function saveSession(code, sessionRole, token) {
+    resumeToken = token;
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ code, role: sessionRole, token }));
+}
+
+function loadSession() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearSession() {
+    resumeToken = null;
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Ask the server to rebind our seat in a room to the current socket
+ * @param {{code: string, token: string}} session
+ * @param {boolean} fresh - True after a page reload, when no WebRTC state survived
+ */
+function resumeSession(session, fresh) {
+    socket.emit('resume', { code: session.code, token: session.token, fresh }, (response) => {
+        if (!response.success) {
+            console.warn('Could not resume session:', response.message);
+            clearSession();
+            if (!fresh) {
+                disconnectFromRemote();
+                showStatusMessage(`Session ended: ${response.message}`, 'error');
+            }
+            return;
+        }
+        
+        console.log(`🔁 Resumed room ${response.code} as ${response.role}`);
+        resumeToken = session.token;
+        
+        if (!fresh) {
+            showStatusMessage('Session resumed', 'success');
+            if (response.role === 'host') {
+                // Our socket id changed, so every viewer needs new ICE candidates
+                response.viewers.forEach(viewerId => restartIce(viewerId));
+            } else {
+                remotePeerId = response.hostId;
+            }
+            return;
+        }
+        
+        // Page reload: rebuild state from the saved session
+        currentCode = response.code;
+        role = response.role;
+        sharingCodeInput.value = response.code;
+        loadChatTranscript(response.code);
+        enableChat();
+        
+        if (response.role === 'viewer') {
+            remotePeerId = response.hostId;
+            updateConnectionStatus('connecting', 'Resuming session...');
+            showStatusMessage('Resuming session - waiting for the host...', 'info');
+            startConnectionTimeout();
+        } else {
+            response.viewers.forEach(viewerId => viewersAwaitingStream.add(viewerId));
+            offerScreenShareResume(response);
+        }
+    });
+}
+
+/**
+ * After a reload the host must pick the screen again (needs a user gesture)
+ */
+function offerScreenShareResume(session) {
+    updateConnectionStatus('connecting', `Session ${session.code} is waiting for you`);
+    
+    showPrompt('🔁 Resume screen sharing?', `Your viewers are still in session ${session.code}. Pick the screen to share again.`, [
+        { label: 'Share Screen', className: 'btn-secondary', onClick: () => startScreenSharing(session.code, session.pinProtected) },
+        { label: 'End Session', className: 'btn-danger', onClick: () => disconnectFromRemote() }
+    ]);
+}
+
+/**
+ * The other side of the session came back with a new socket id
+ */
+function handlePeerResumed(data) {
+    if (data.fresh) {
+        dropReloadedSenderTransfers(data.previousId);
+    }
+    
+    if (role === 'host') {
+        if (viewersAwaitingStream.delete(data.previousId)) {
+            viewersAwaitingStream.add(data.peerId);
+        }
+        
+        if (data.fresh || !peerConnections.has(data.previousId)) {
+            // The viewer reloaded: start over with a new connection
+            rekeyPeer(data.previousId, data.peerId);
+            closePeerConnection(data.peerId);
+            connectToViewer(data.peerId);
+        } else {
+            rekeyPeer(data.previousId, data.peerId);
+            restartIce(data.peerId);
+        }
+        return;
+    }
+    
+    remotePeerId = data.peerId;
+    if (data.fresh) {
+        // The host reloaded and will send a new offer once it shares again
+        closePeerConnection(data.previousId);
+        peerTransferSessions.delete(data.previousId);
+        recordingPeers.delete(data.previousId);
+        updateRecordingIndicator();
+        remoteStream = null;
+        showStatusMessage('Host is back - waiting for the stream...', 'info');
+    } else {
+        rekeyPeer(data.previousId, data.peerId);
+        showStatusMessage('Host reconnected', 'success');
+    }
+}
+
+// ============================================
+// Viewer Approval (Host)
+// ============================================
+
+/**
+ * Ask the host to accept or deny a viewer waiting to join
+ */
+function showViewerRequest(request) {
+    dismissViewerRequest(request.viewerId);
+    
+    const details = `${describeUserAgent(request.userAgent)} · ${request.address || 'unknown address'}`;
+    viewerLabels.set(request.viewerId, details);
+    const prompt = showPrompt('👁️ A viewer wants to see your screen', details, [
+        { label: 'Accept', className: 'btn-secondary', onClick: () => respondToViewer(request.viewerId, true) },
+        { label: 'Deny', className: 'btn-danger', onClick: () => respondToViewer(request.viewerId, false) }
+    ]);
+    viewerRequestPrompts.set(request.viewerId, prompt);
+}
+
+/**
+ * Send the host's decision for a pending viewer to the server
+ */
+function respondToViewer(viewerId, accept) {
+    viewerRequestPrompts.delete(viewerId);
+    
+    socket.emit('respond-to-viewer', { viewerId, accept }, (response) => {
+        if (!response.success) {
+            showStatusMessage(response.message || 'Viewer is no longer waiting', 'error');
+        }
+    });
+}
+
+/**
+ * Remove a viewer's approval prompt (viewer left or request expired)
+ */
+function dismissViewerRequest(viewerId) {
+    const prompt = viewerRequestPrompts.get(viewerId);
+    if (prompt) {
+        prompt.remove();
+        viewerRequestPrompts.delete(viewerId);
+    }
+}
+
+// ============================================
+// Control Protocol (Binary Encoding)
+// ============================================
+// Message layout (little-endian):
+//   v1: [version u8][event count u8] then the events
+//   v2: [version u8][event count u8][sequence u32] then the events
+//       (sequence numbers motion messages; 0 = unsequenced)
+// Each event is [type u8] followed by
+//   mousemove          x u16, y u16 (normalized 0..1 scaled to 0..65535)
+//   mousedown/mouseup  button u8, x u16, y u16
+//   wheel              deltaMode u8, deltaX f32, deltaY f32
+//   keydown/keyup      modifiers u8 (ctrl 1, shift 2, alt 4, meta 8),
+//                      key (length u8 + UTF-8), code (length u8 + UTF-8)
+// Both sides send { type: 'hello', protocols } when the channel opens; the
+// viewer only switches to binary after hearing the host supports it.
+
+const CONTROL_EVENT_TYPES = ['mousemove', 'mousedown', 'mouseup', 'wheel', 'keydown', 'keyup'];
+const MODIFIER_FLAGS = { ctrlKey: 1, shiftKey: 2, altKey: 4, metaKey: 8 };
+const COORDINATE_SCALE = 65535;
+const MAX_KEY_BYTES = 32;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Announce the binary protocol versions we support to the peer
+ */
+function sendProtocolHello(channel) {
+    channel.send(JSON.stringify({ type: 'hello', protocols: CONTROL_PROTOCOL_VERSIONS }));
+}
+
+/**
+ * Pick the newest binary version both sides speak (none = stay on JSON)
+ */
+function handleProtocolHello(channel, protocols) {
+    const shared = (Array.isArray(protocols) ? protocols : [])
+        .filter(version => CONTROL_PROTOCOL_VERSIONS.includes(version));
+    if (shared.length === 0) {
+        console.log('📦 Peer has no binary control protocol in common - using JSON');
+        return;
+    }
+    
+    const version = Math.max(...shared);
+    controlProtocols.set(channel, version);
+    console.log(`📦 Using binary control protocol v${version}`);
+}
+
+function encodeCoordinate(value) {
+    return Math.round(Math.min(1, Math.max(0, value || 0)) * COORDINATE_SCALE);
+}
+
+function encodeKeyString(value) {
+    return textEncoder.encode(String(value || '')).slice(0, MAX_KEY_BYTES);
+}
+
+/**
+ * Encode control events as a binary message
+ * @param {object[]} events - At most 255 events
+ * @param {number} version - Negotiated protocol version
+ * @param {number} [sequence] - Motion sequence number (v2 only)
+ * @returns {ArrayBuffer}
+ */
+function encodeControlEvents(events, version, sequence = 0) {
+    // Encode key strings up front so the buffer can be sized exactly
+    const encoded = events.map(event => {
+        const typeCode = CONTROL_EVENT_TYPES.indexOf(event.type);
+        if (typeCode === -1) return null;
+        
+        switch (event.type) {
+            case 'mousemove':
+                return { event, typeCode, size: 5 };
+            case 'mousedown':
+            case 'mouseup':
+                return { event, typeCode, size: 6 };
+            case 'wheel':
+                return { event, typeCode, size: 10 };
+            default: {
+                const key = encodeKeyString(event.key);
+                const code = encodeKeyString(event.code);
+                return { event, typeCode, key, code, size: 4 + key.length + code.length };
+            }
+        }
+    }).filter(Boolean);
+    
+    const headerSize = version >= 2 ? 6 : 2;
+    const size = encoded.reduce((total, entry) => total + entry.size, headerSize);
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    
+    view.setUint8(0, version);
+    view.setUint8(1, encoded.length);
+    if (version >= 2) {
+        view.setUint32(2, sequence, true);
+    }
+    let offset = headerSize;
+    
+    encoded.forEach(({ event, typeCode, key, code }) => {
+        view.setUint8(offset++, typeCode);
+        
+        switch (event.type) {
+            case 'mousedown':
+            case 'mouseup':
+                view.setUint8(offset++, event.button || 0);
+                // falls through to the coordinates
+            case 'mousemove':
+                view.setUint16(offset, encodeCoordinate(event.x), true);
+                view.setUint16(offset + 2, encodeCoordinate(event.y), true);
+                offset += 4;
+                break;
+            case 'wheel':
+                view.setUint8(offset++, event.deltaMode || 0);
+                view.setFloat32(offset, event.deltaX || 0, true);
+                view.setFloat32(offset + 4, event.deltaY || 0, true);
+                offset += 8;
+                break;
+            default: {
+                let modifiers = 0;
+                for (const [flag, bit] of Object.entries(MODIFIER_FLAGS)) {
+                    if (event[flag]) modifiers |= bit;
+                }
+                view.setUint8(offset++, modifiers);
+                view.setUint8(offset++, key.length);
+                bytes.set(key, offset);
+                offset += key.length;
+                view.setUint8(offset++, code.length);
+                bytes.set(code, offset);
+                offset += code.length;
+            }
+        }
+    });
+    
+    return buffer;
+}
+
+/**
+ * Decode a binary control message
+ * @param {ArrayBuffer} buffer
+ * @returns {{sequence: number, events: object[]}|null} null for an unsupported version or malformed message
+ */
+function decodeControlEvents(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 2) return null;
+    
+    const version = view.getUint8(0);
+    if (!CONTROL_PROTOCOL_VERSIONS.includes(version)) return null;
+    
+    const count = view.getUint8(1);
+    const events = [];
+    let sequence = 0;
+    let offset = 2;
+    
+    const readString = () => {
+        const length = view.getUint8(offset++);
+        const value = textDecoder.decode(new Uint8Array(buffer, offset, length));
+        offset += length;
+        return value;
+    };
+    
+    try {
+        if (version >= 2) {
+            sequence = view.getUint32(2, true);
+            offset = 6;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const type = CONTROL_EVENT_TYPES[view.getUint8(offset++)];
+            const event = { type };
+            
+            switch (type) {
+                case 'mousedown':
+                case 'mouseup':
+                    event.button = view.getUint8(offset++);
+                    // falls through to the coordinates
+                case 'mousemove':
+                    event.x = view.getUint16(offset, true) / COORDINATE_SCALE;
+                    event.y = view.getUint16(offset + 2, true) / COORDINATE_SCALE;
+                    offset += 4;
+                    break;
+                case 'wheel':
+                    event.deltaMode = view.getUint8(offset++);
+                    event.deltaX = view.getFloat32(offset, true);
+                    event.deltaY = view.getFloat32(offset + 4, true);
+                    offset += 8;
+                    break;
+                case 'keydown':
+                case 'keyup': {
+                    const modifiers = view.getUint8(offset++);
+                    event.key = readString();
+                    event.code = readString();
+                    for (const [flag, bit] of Object.entries(MODIFIER_FLAGS)) {
+                        event[flag] = (modifiers & bit) !== 0;
+                    }
+                    break;
+                }
+                default:
+                    return null;
+            }
+            
+            events.push(event);
+        }
+    } catch (error) {
+        // DataView throws RangeError on a truncated message
+        return null;
+    }
+    
+    return { sequence, events };
+}
+
+/**
+ * Send control events in the format negotiated for the channel
+ * @param {RTCDataChannel} channel
+ * @param {object[]} events
+ * @param {number} [sequence] - Motion sequence number, 0 for unsequenced events
+ */
+function sendControlEvents(channel, events, sequence = 0) {
+    const version = controlProtocols.get(channel);
+    if (version) {
+        channel.send(encodeControlEvents(events, version, sequence));
+    } else if (events.length === 1) {
+        channel.send(JSON.stringify({ ...events[0], seq: sequence, timestamp: Date.now() }));
+    } else {
+        channel.send(JSON.stringify({ type: 'batch', events, seq: sequence, timestamp: Date.now() }));
+    }
+}
+
+/**
+ * Whether a motion message arrived after a newer one and should be ignored
+ * (host side). Unsequenced messages are never stale.
+ */
+function isStaleMotion(channel, sequence) {
+    if (!sequence) return false;
+    if (sequence <= (lastMotionSequence.get(channel) || 0)) return true;
+    
+    lastMotionSequence.set(channel, sequence);
+    return false;
+}
+
+// ============================================
+// Remote Control Functions (Gaming-Optimized)
+// ============================================
+
+/**
+ * Setup data channel for remote control
+ * @param {RTCDataChannel} channel
+ * @param {RTCPeerConnection} peerConnection - Connection the channel belongs to
+ */
+function setupDataChannel(channel, peerConnection) {
+    channel.binaryType = 'arraybuffer';
+    
+    channel.onopen = () => {
+        console.log(`✅ Data channel '${channel.label}' opened`);
+        sendProtocolHello(channel);
+        // Measure the path mouse moves take
+        if (role === 'viewer' && channel.label === 'remoteControl') {
+            startLatencyProbe();
+        }
+        // Control requests go over the reliable channel, so that's the one that matters
+        if (role === 'viewer' && channel.label === 'remoteControlReliable') {
+            showStatusMessage('Remote control ready! Request control to use it.', 'success');
+            // A new connection starts out on 'auto' at the host
+            if (qualityMode !== 'auto') {
+                sendQualityMode();
+            }
+        }
+    };
+
+    channel.onclose = () => {
+        console.log(`❌ Data channel '${channel.label}' closed`);
+        if (role === 'viewer' && channel.label === 'remoteControl') {
+            stopLatencyProbe();
+        }
+        if (remoteControlEnabled) {
+            toggleRemoteControl(false);
+        }
+        if (role === 'viewer') {
+            controlLevel = 'view';
+            controlRequestPending = false;
+            updateControlToggle();
+        }
+    };
+
+    channel.onerror = (error) => {
+        console.error('Data channel error:', error);
+    };
 
     // Handle incoming control events (host side)
     if (role === 'host') {
         channel.onmessage = (event) => {
             try {
+                // Looked up per message - the id changes if the viewer resumes
+                const viewerId = getPeerId(peerConnection);
+                
+                if (typeof event.data !== 'string') {
+                    const message = decodeControlEvents(event.data);
+                    if (!message) {
+                        console.warn('⚠️ Dropped unreadable binary control message');
+                        return;
+                    }
+                    if (isStaleMotion(channel, message.sequence)) return;
+                    message.events.forEach(controlEvent => handleAllowedControlEvent(viewerId, controlEvent));
+                    return;
+                }
+                
                 const data = JSON.parse(event.data);
+                if (isStaleMotion(channel, data.seq)) return;
                 
-                // Handle batched events
-                if (data.type === 'batch' && data.events) {
+                if (data.type === 'ping') {
+                    // Echo straight back so the viewer can time the round trip
+                    channel.send(JSON.stringify({ type: 'pong', sentAt: data.sentAt }));
+                } else if (data.type === 'hello') {
+                    handleProtocolHello(channel, data.protocols);
+                } else if (data.type === 'control-request') {
+                    showControlRequest(viewerId, data.level);
+                } else if (data.type === 'control-release') {
+                    dismissControlRequest(viewerId);
+                    revokeControl(viewerId);
+                } else if (data.type === 'quality-mode') {
+                    setViewerQualityMode(viewerId, data.mode);
+                } else if (data.type === 'batch' && data.events) {
+                    // Handle batched events
                     data.events.forEach(controlEvent => {
-                        handleRemoteControlEvent(controlEvent);
+                        handleAllowedControlEvent(viewerId, controlEvent);
                     });
                 } else {
                     // Handle single event
-                    handleRemoteControlEvent(data);
+                    handleAllowedControlEvent(viewerId, data);
                 }
             } catch (error) {
                 console.error('Error parsing control event:', error);
             }
         };
+    } else {
+        channel.onmessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                if (data.type === 'pong') {
+                    recordInputLatency(performance.now() - data.sentAt);
+                } else if (data.type === 'hello') {
+                    handleProtocolHello(channel, data.protocols);
+                } else if (data.type === 'control-level') {
+                    applyControlLevel(data.level);
+                }
+            } catch (error) {
+                console.error('Error parsing control message:', error);
+            }
+        };
+    }
+}
+
+/**
+ * Pass an event on only if the viewer's permission level allows it (host side)
+ */
+function handleAllowedControlEvent(viewerId, event) {
+    const level = controlPermissions.get(viewerId) || 'view';
+    if (CONTROL_LEVELS[level].includes(event.type)) {
+        handleRemoteControlEvent(event);
     }
 }
 
 /**
  * Handle remote control events (host side)
+ * The browser can't control the host's desktop itself, so events are
+ * forwarded to the companion agent, which injects them into the OS.
  */
 function handleRemoteControlEvent(event) {
-    // Note: Due to browser security, we cannot actually control the host's desktop
-    // This is a framework for when browser APIs support it or for custom implementations
-    
-    // Log events for demonstration (comment out for production to reduce noise)
-    // console.log('🎮 Remote control event:', event.type);
-    
-    // In a real implementation with proper APIs, this would control the desktop
     switch (event.type) {
         case 'mousemove':
-            // Would move cursor to (event.x, event.y)
-            break;
         case 'mousedown':
         case 'mouseup':
-            // Would trigger mouse button (event.button)
-            break;
         case 'wheel':
-            // Would scroll (event.deltaX, event.deltaY)
-            break;
         case 'keydown':
         case 'keyup':
-            // Would trigger key (event.key, event.code)
+            forwardToAgent(event);
             break;
     }
 }
@@ -764,9 +1886,14 @@ function toggleRemoteControl(enabled) {
         // Start capturing input events
         startEventBatching();
         attachInputEventListeners(videoElement);
+        startCursorPrediction();
         videoElement.style.cursor = 'crosshair'; // Show crosshair for aiming
-        showStatusMessage('🎮 Remote control enabled - Click video to control, use panel for special keys', 'success');
-        console.log('🎮 Remote control enabled');
+        if (controlLevel === 'full') {
+            showStatusMessage('🎮 Remote control enabled - Click video to control, use panel for special keys', 'success');
+        } else {
+            showStatusMessage('🖱️ Mouse control enabled - the host has not allowed keyboard input', 'success');
+        }
+        console.log(`🎮 Remote control enabled (${controlLevel})`);
     } else {
         // Hide virtual control panel
         if (controlPanel) {
@@ -776,78 +1903,305 @@ function toggleRemoteControl(enabled) {
         // Stop capturing input events
         stopEventBatching();
         detachInputEventListeners(videoElement);
+        stopCursorPrediction();
         videoElement.style.cursor = 'default';
         showStatusMessage('Remote control disabled', 'info');
         console.log('Remote control disabled');
     }
+    
+    updateControlToggle();
 }
 
 /**
- * Start event batching for optimized sending
+ * Ask the host for remote control (viewer side)
+ * @param {'mouse'|'full'} level - What we'd like to control; the host may grant less
  */
-function startEventBatching() {
-    if (eventBatchInterval) return;
+function requestControl(level) {
+    const dataChannel = getReliableChannel();
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+        showStatusMessage('Remote control not connected', 'error');
+        return;
+    }
     
-    eventBatchInterval = setInterval(() => {
-        if (eventBatchQueue.length > 0 && dataChannel && dataChannel.readyState === 'open') {
-            // Send batched events
-            const batch = eventBatchQueue.splice(0, remoteControlConfig.maxBatchSize);
-            dataChannel.send(JSON.stringify({
-                type: 'batch',
-                events: batch,
-                timestamp: Date.now()
-            }));
-        }
-    }, remoteControlConfig.batchInterval);
+    dataChannel.send(JSON.stringify({ type: 'control-request', level }));
+    controlRequestPending = true;
+    updateControlToggle();
+    showStatusMessage('Waiting for the host to allow remote control...', 'info');
 }
 
 /**
- * Stop event batching
+ * Give control back to the host, or withdraw a pending request (viewer side)
  */
-function stopEventBatching() {
-    if (eventBatchInterval) {
-        clearInterval(eventBatchInterval);
-        eventBatchInterval = null;
-        eventBatchQueue = [];
+function releaseControl() {
+    const dataChannel = getReliableChannel();
+    if (dataChannel && dataChannel.readyState === 'open') {
+        dataChannel.send(JSON.stringify({ type: 'control-release' }));
+    }
+    
+    controlRequestPending = false;
+    controlLevel = 'view';
+    if (remoteControlEnabled) {
+        toggleRemoteControl(false);
     }
+    updateControlToggle();
 }
 
 /**
- * Queue control event for batched sending
+ * Apply the permission level the host granted or revoked (viewer side)
  */
-function queueControlEvent(event) {
-    eventBatchQueue.push({
-        ...event,
-        timestamp: Date.now()
-    });
+function applyControlLevel(level) {
+    const wasPending = controlRequestPending;
+    controlRequestPending = false;
+    controlLevel = CONTROL_LEVELS[level] ? level : 'view';
+    
+    if (controlLevel === 'view') {
+        if (remoteControlEnabled) {
+            toggleRemoteControl(false);
+            showStatusMessage('The host took back control', 'info');
+        } else if (wasPending) {
+            showStatusMessage('The host declined remote control', 'error');
+        }
+    } else if (!remoteControlEnabled) {
+        toggleRemoteControl(true);
+    } else {
+        showStatusMessage(`The host changed your access to ${CONTROL_LEVEL_LABELS[controlLevel]}`, 'info');
+    }
+    
+    updateControlToggle();
 }
 
 /**
- * Send immediate control event (for critical events)
+ * Reflect the control state on the viewer's toggle button
  */
-function sendControlEventImmediate(event) {
+function updateControlToggle() {
+    const controlToggle = document.getElementById('remoteControlToggle');
+    if (!controlToggle) return;
+    
+    if (remoteControlEnabled) {
+        controlToggle.textContent = `🎮 Release Control (${CONTROL_LEVEL_LABELS[controlLevel]})`;
+        controlToggle.style.background = 'rgba(231, 76, 60, 0.9)';
+    } else if (controlRequestPending) {
+        controlToggle.textContent = '⏳ Waiting for host... (click to cancel)';
+        controlToggle.style.background = 'rgba(100, 100, 100, 0.9)';
+    } else {
+        controlToggle.textContent = '🎮 Request Remote Control';
+        controlToggle.style.background = 'rgba(74, 144, 226, 0.9)';
+    }
+}
+
+// ============================================
+// Remote Control Permissions (Host)
+// ============================================
+
+/**
+ * Send a control message to one viewer over its data channel
+ */
+function sendToViewer(viewerId, message) {
+    const dataChannel = reliableChannels.get(viewerId);
     if (dataChannel && dataChannel.readyState === 'open') {
-        dataChannel.send(JSON.stringify({
-            ...event,
-            timestamp: Date.now()
-        }));
+        dataChannel.send(JSON.stringify(message));
     }
 }
 
 /**
- * Attach input event listeners to video element
+ * Ask the host whether a viewer may control the screen
+ * @param {string} viewerId
+ * @param {'mouse'|'full'} level - What the viewer asked for
  */
-function attachInputEventListeners(element) {
+function showControlRequest(viewerId, level) {
+    if (!viewerId || !CONTROL_LEVELS[level] || level === 'view') return;
+    dismissControlRequest(viewerId);
+    
+    const label = viewerLabels.get(viewerId) || 'A viewer';
+    const actions = [];
+    if (level === 'full') {
+        actions.push({ label: 'Keyboard + mouse', className: 'btn-secondary', onClick: () => grantControl(viewerId, 'full') });
+    }
+    actions.push({ label: 'Mouse only', className: 'btn-secondary', onClick: () => grantControl(viewerId, 'mouse') });
+    actions.push({ label: 'Deny', className: 'btn-danger', onClick: () => revokeControl(viewerId) });
+    
+    const prompt = showPrompt('🎮 A viewer wants to control your screen',
+        `${label} is asking for ${CONTROL_LEVEL_LABELS[level]} control`, actions);
+    controlRequestPrompts.set(viewerId, prompt);
+}
+
+/**
+ * Remove a viewer's control request prompt
+ */
+function dismissControlRequest(viewerId) {
+    const prompt = controlRequestPrompts.get(viewerId);
+    if (prompt) {
+        prompt.remove();
+        controlRequestPrompts.delete(viewerId);
+    }
+}
+
+/**
+ * Let a viewer control the screen. Only one viewer controls at a time.
+ * @param {string} viewerId
+ * @param {'mouse'|'full'} level
+ */
+function grantControl(viewerId, level) {
+    controlRequestPrompts.delete(viewerId);
+    if (!reliableChannels.has(viewerId)) {
+        showStatusMessage('That viewer has already left', 'error');
+        return;
+    }
+    
+    for (const controllerId of [...controlPermissions.keys()]) {
+        if (controllerId !== viewerId) {
+            revokeControl(controllerId);
+        }
+    }
+    
+    const previousLevel = controlPermissions.get(viewerId);
+    if (previousLevel && previousLevel !== level) {
+        // Input held under the old level (e.g. keys after dropping to mouse only) must not stay down
+        forwardToAgent({ type: 'release-all' });
+    }
+    
+    controlPermissions.set(viewerId, level);
+    sendToViewer(viewerId, { type: 'control-level', level });
+    // Let the server's audit log know who was given control
+    socket.emit('control-level', { viewerId, level });
+    console.log(`🎮 Granted ${level} control to ${viewerId}`);
+    updateControlIndicator();
+}
+
+/**
+ * Take control away from a viewer (also used to deny a request)
+ */
+function revokeControl(viewerId) {
+    controlRequestPrompts.delete(viewerId);
+    
+    if (controlPermissions.delete(viewerId)) {
+        // Don't leave keys or buttons held down on the desktop
+        forwardToAgent({ type: 'release-all' });
+        socket.emit('control-level', { viewerId, level: 'view' });
+        console.log(`🎮 Revoked control from ${viewerId}`);
+    }
+    sendToViewer(viewerId, { type: 'control-level', level: 'view' });
+    updateControlIndicator();
+}
+
+/**
+ * Panic button: take control back from every viewer
+ */
+function revokeAllControl() {
+    if (controlPermissions.size === 0) return;
+    
+    for (const viewerId of [...controlPermissions.keys()]) {
+        revokeControl(viewerId);
+    }
+    showStatusMessage('Remote control revoked', 'success');
+}
+
+/**
+ * Show on the host's preview who is controlling the screen
+ */
+function updateControlIndicator() {
+    const indicator = document.getElementById('controlIndicator');
+    if (!indicator) return;
+    
+    const [controller] = controlPermissions;
+    if (!controller) {
+        indicator.style.display = 'none';
+        return;
+    }
+    
+    const [viewerId, level] = controller;
+    const label = viewerLabels.get(viewerId) || 'A viewer';
+    indicator.querySelector('span').textContent =
+        `🎮 ${label} is controlling (${CONTROL_LEVEL_LABELS[level]}) - ${CONTROL_REVOKE_HOTKEY.label} to revoke`;
+    indicator.style.display = 'flex';
+}
+
+/**
+ * Start event batching for optimized sending
+ */
+function startEventBatching() {
+    if (eventBatchInterval) return;
+    
+    eventBatchInterval = setInterval(() => {
+        const dataChannel = getControlChannel();
+        if (eventBatchQueue.length > 0 && dataChannel && dataChannel.readyState === 'open') {
+            // Send batched events, numbered so the host can ignore ones that arrive late
+            const batch = eventBatchQueue.splice(0, remoteControlConfig.maxBatchSize);
+            sendControlEvents(dataChannel, batch, ++motionSequence);
+        }
+    }, remoteControlConfig.batchInterval);
+}
+
+/**
+ * Stop event batching
+ */
+function stopEventBatching() {
+    if (eventBatchInterval) {
+        clearInterval(eventBatchInterval);
+        eventBatchInterval = null;
+        eventBatchQueue = [];
+    }
+}
+
+/**
+ * Queue control event for batched sending
+ */
+function queueControlEvent(event) {
+    eventBatchQueue.push(event);
+}
+
+/**
+ * Send immediate control event (for critical events) on the reliable channel
+ */
+function sendControlEventImmediate(event) {
+    const dataChannel = getReliableChannel();
+    if (dataChannel && dataChannel.readyState === 'open') {
+        sendControlEvents(dataChannel, [event]);
+    }
+    
+    // Remember what is held so it can be released if we stop before the user lets go
+    if (event.type === 'keydown') {
+        heldRemoteKeys.set(event.code, { type: 'keyup', key: event.key, code: event.code });
+    } else if (event.type === 'keyup') {
+        heldRemoteKeys.delete(event.code);
+    } else if (event.type === 'mousedown') {
+        heldRemoteButtons.add(event.button);
+    } else if (event.type === 'mouseup') {
+        heldRemoteButtons.delete(event.button);
+    }
+}
+
+/**
+ * Release every key and button still held on the host (viewer side).
+ * Keyups never arrive once the page loses focus or input is detached.
+ */
+function releaseHeldInputs() {
+    for (const keyup of [...heldRemoteKeys.values()]) {
+        sendControlEventImmediate(keyup);
+    }
+    for (const button of [...heldRemoteButtons]) {
+        sendControlEventImmediate({ type: 'mouseup', button, x: lastMousePosition.x, y: lastMousePosition.y });
+    }
+    heldRemoteKeys.clear();
+    heldRemoteButtons.clear();
+}
+
+/**
+ * Attach input event listeners to video element
+ */
+function attachInputEventListeners(element) {
     // Mouse events
     element.addEventListener('mousemove', handleMouseMove);
     element.addEventListener('mousedown', handleMouseDown);
     element.addEventListener('mouseup', handleMouseUp);
     element.addEventListener('wheel', handleMouseWheel, { passive: false });
     element.addEventListener('contextmenu', handleContextMenu);
+    element.addEventListener('mouseleave', hidePredictedCursor);
     
     // Keyboard events (capture on document)
     document.addEventListener('keydown', handleKeyDown);
     document.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', releaseHeldInputs);
     
     // Focus management
     element.tabIndex = 0;
@@ -865,9 +2219,12 @@ function detachInputEventListeners(element) {
     element.removeEventListener('mouseup', handleMouseUp);
     element.removeEventListener('wheel', handleMouseWheel);
     element.removeEventListener('contextmenu', handleContextMenu);
+    element.removeEventListener('mouseleave', hidePredictedCursor);
     
     document.removeEventListener('keydown', handleKeyDown);
     document.removeEventListener('keyup', handleKeyUp);
+    window.removeEventListener('blur', releaseHeldInputs);
+    releaseHeldInputs();
     
     console.log('❌ Input event listeners detached');
 }
@@ -878,6 +2235,9 @@ let lastMouseMoveTime = 0;
 function handleMouseMove(e) {
     if (!remoteControlEnabled) return;
     
+    // The predicted cursor follows every move, even ones the throttle skips
+    trackCursor(e);
+    
     const now = Date.now();
     if (now - lastMouseMoveTime < remoteControlConfig.mouseMoveThrottle) {
         return; // Throttle mouse movements
@@ -887,6 +2247,7 @@ function handleMouseMove(e) {
     const rect = e.target.getBoundingClientRect();
     const x = (e.clientX - rect.left) / rect.width;
     const y = (e.clientY - rect.top) / rect.height;
+    lastMousePosition = { x, y };
     
     queueControlEvent({
         type: 'mousemove',
@@ -908,102 +2269,2123 @@ function handleMouseDown(e) {
     });
 }
 
-function handleMouseUp(e) {
-    if (!remoteControlEnabled) return;
-    e.preventDefault();
-    
-    const rect = e.target.getBoundingClientRect();
-    sendControlEventImmediate({
-        type: 'mouseup',
-        button: e.button,
-        x: (e.clientX - rect.left) / rect.width,
-        y: (e.clientY - rect.top) / rect.height
-    });
+function handleMouseUp(e) {
+    if (!remoteControlEnabled) return;
+    e.preventDefault();
+    
+    const rect = e.target.getBoundingClientRect();
+    sendControlEventImmediate({
+        type: 'mouseup',
+        button: e.button,
+        x: (e.clientX - rect.left) / rect.width,
+        y: (e.clientY - rect.top) / rect.height
+    });
+}
+
+function handleMouseWheel(e) {
+    if (!remoteControlEnabled) return;
+    e.preventDefault();
+    
+    queueControlEvent({
+        type: 'wheel',
+        deltaX: e.deltaX,
+        deltaY: e.deltaY,
+        deltaMode: e.deltaMode
+    });
+}
+
+function handleContextMenu(e) {
+    if (remoteControlEnabled) {
+        e.preventDefault();
+    }
+}
+
+// Keyboard event handlers
+function handleKeyDown(e) {
+    if (!remoteControlEnabled || controlLevel !== 'full') return;
+    if (e.target === chatInput) return;
+    
+    // Don't prevent certain browser shortcuts
+    if (e.key === 'F5' || (e.ctrlKey && e.key === 'r')) return;
+    if (e.key === 'F11') return;
+    if (e.key === 'F12') return;
+    
+    e.preventDefault();
+    
+    sendControlEventImmediate({
+        type: 'keydown',
+        key: e.key,
+        code: e.code,
+        ctrlKey: e.ctrlKey,
+        shiftKey: e.shiftKey,
+        altKey: e.altKey,
+        metaKey: e.metaKey
+    });
+}
+
+function handleKeyUp(e) {
+    if (!remoteControlEnabled || controlLevel !== 'full') return;
+    if (e.target === chatInput) return;
+    e.preventDefault();
+    
+    sendControlEventImmediate({
+        type: 'keyup',
+        key: e.key,
+        code: e.code,
+        ctrlKey: e.ctrlKey,
+        shiftKey: e.shiftKey,
+        altKey: e.altKey,
+        metaKey: e.metaKey
+    });
+}
+
+// ============================================
+// Clipboard Sharing
+// ============================================
+
+/**
+ * Setup the clipboard data channel. Viewers send or ask for clipboard
+ * contents; the host has to approve every transfer.
+ * @param {RTCDataChannel} channel
+ * @param {RTCPeerConnection} peerConnection - Connection the channel belongs to
+ */
+function setupClipboardChannel(channel, peerConnection) {
+    channel.onerror = (error) => {
+        console.error('Clipboard channel error:', error);
+    };
+    
+    channel.onmessage = (event) => {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Error parsing clipboard message:', error);
+            return;
+        }
+        
+        if (role === 'host') {
+            const viewerId = getPeerId(peerConnection);
+            if (data.type === 'clipboard-offer') {
+                handleClipboardOffer(viewerId, channel, data.item);
+            } else if (data.type === 'clipboard-request') {
+                handleClipboardRequest(viewerId, channel);
+            }
+        } else if (data.type === 'clipboard-data') {
+            receiveHostClipboard(data.item);
+        } else if (data.type === 'clipboard-result') {
+            showStatusMessage(data.message, data.success ? 'success' : 'error');
+        }
+    };
+}
+
+function sendClipboardMessage(channel, message) {
+    if (channel && channel.readyState === 'open') {
+        channel.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Read the local clipboard, preferring a PNG image over text
+ * @returns {Promise<{mime: string, data: string, size: number}>} data is base64 for images
+ */
+async function readLocalClipboard() {
+    if (!navigator.clipboard) {
+        throw new Error('Clipboard access needs HTTPS');
+    }
+    
+    if (navigator.clipboard.read) {
+        const items = await navigator.clipboard.read();
+        for (const clipboardItem of items) {
+            if (clipboardItem.types.includes(clipboardConfig.imageType)) {
+                const blob = await clipboardItem.getType(clipboardConfig.imageType);
+                if (blob.size > clipboardConfig.maxImageBytes) {
+                    throw new Error(`image is too large (${Math.round(blob.size / 1024)} KB, limit ${clipboardConfig.maxImageBytes / 1024} KB)`);
+                }
+                return { mime: clipboardConfig.imageType, data: await blobToBase64(blob), size: blob.size };
+            }
+        }
+    }
+    
+    const text = await navigator.clipboard.readText();
+    if (!text) {
+        throw new Error('clipboard is empty');
+    }
+    const size = textEncoder.encode(text).length;
+    if (size > clipboardConfig.maxTextBytes) {
+        throw new Error(`text is too long (${Math.round(size / 1024)} KB, limit ${clipboardConfig.maxTextBytes / 1024} KB)`);
+    }
+    return { mime: 'text/plain', data: text, size };
+}
+
+/**
+ * Put a received item on the local clipboard
+ */
+async function writeLocalClipboard(item) {
+    if (!navigator.clipboard) {
+        throw new Error('Clipboard access needs HTTPS');
+    }
+    
+    if (item.mime === 'text/plain') {
+        await navigator.clipboard.writeText(item.data);
+    } else {
+        const blob = base64ToBlob(item.data, item.mime);
+        await navigator.clipboard.write([new ClipboardItem({ [item.mime]: blob })]);
+    }
+}
+
+/**
+ * Check an item from the other side against our own limits
+ */
+function isValidClipboardItem(item) {
+    if (!item || typeof item.data !== 'string') return false;
+    
+    if (item.mime === 'text/plain') {
+        return textEncoder.encode(item.data).length <= clipboardConfig.maxTextBytes;
+    }
+    if (item.mime === clipboardConfig.imageType) {
+        return item.data.length * 3 / 4 <= clipboardConfig.maxImageBytes;
+    }
+    return false;
+}
+
+function describeClipboardItem(item) {
+    if (item.mime === 'text/plain') {
+        const preview = item.data.length > 60 ? `${item.data.slice(0, 60)}…` : item.data;
+        return `${item.data.length} characters of text: "${preview}"`;
+    }
+    return `an image (${Math.round(item.data.length * 3 / 4 / 1024)} KB)`;
+}
+
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function base64ToBlob(data, mime) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mime });
+}
+
+/**
+ * Send our clipboard to the host (viewer side)
+ */
+async function sendClipboardToHost() {
+    const channel = clipboardChannels.get(remotePeerId);
+    if (!channel || channel.readyState !== 'open') {
+        showStatusMessage('Clipboard sharing not connected', 'error');
+        return;
+    }
+    
+    try {
+        const item = await readLocalClipboard();
+        sendClipboardMessage(channel, { type: 'clipboard-offer', item });
+        showStatusMessage('Clipboard sent - waiting for the host to accept it...', 'info');
+    } catch (error) {
+        showStatusMessage(`Couldn't read your clipboard: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Ask the host for a copy of their clipboard (viewer side)
+ */
+function requestHostClipboard() {
+    const channel = clipboardChannels.get(remotePeerId);
+    if (!channel || channel.readyState !== 'open') {
+        showStatusMessage('Clipboard sharing not connected', 'error');
+        return;
+    }
+    
+    sendClipboardMessage(channel, { type: 'clipboard-request' });
+    showStatusMessage('Asked the host for their clipboard...', 'info');
+}
+
+/**
+ * Copy what the host shared. Browsers may refuse without a click, so fall
+ * back to a prompt with a Copy button.
+ */
+async function receiveHostClipboard(item) {
+    if (!isValidClipboardItem(item)) {
+        showStatusMessage('Received clipboard was too large or unsupported', 'error');
+        return;
+    }
+    
+    try {
+        await writeLocalClipboard(item);
+        showStatusMessage('📋 Host clipboard copied to yours', 'success');
+    } catch (error) {
+        showPrompt('📋 Host clipboard received', describeClipboardItem(item), [
+            {
+                label: 'Copy', className: 'btn-secondary', onClick: () => {
+                    writeLocalClipboard(item)
+                        .then(() => showStatusMessage('📋 Host clipboard copied to yours', 'success'))
+                        .catch(err => showStatusMessage(`Couldn't write to your clipboard: ${err.message}`, 'error'));
+                }
+            },
+            { label: 'Discard', className: 'btn-danger', onClick: () => {} }
+        ]);
+    }
+}
+
+/**
+ * A viewer wants to put something on our clipboard (host side)
+ */
+function handleClipboardOffer(viewerId, channel, item) {
+    if (!isValidClipboardItem(item)) {
+        sendClipboardMessage(channel, { type: 'clipboard-result', success: false, message: 'The host rejected your clipboard: too large or unsupported' });
+        return;
+    }
+    
+    const label = viewerLabels.get(viewerId) || 'A viewer';
+    showPrompt('📋 A viewer wants to paste into your clipboard', `${label} sent ${describeClipboardItem(item)}`, [
+        {
+            label: 'Accept', className: 'btn-secondary', onClick: async () => {
+                try {
+                    await writeLocalClipboard(item);
+                    showStatusMessage('📋 Clipboard updated', 'success');
+                    sendClipboardMessage(channel, { type: 'clipboard-result', success: true, message: 'The host accepted your clipboard' });
+                } catch (error) {
+                    showStatusMessage(`Couldn't write to your clipboard: ${error.message}`, 'error');
+                    sendClipboardMessage(channel, { type: 'clipboard-result', success: false, message: 'The host could not paste your clipboard' });
+                }
+            }
+        },
+        {
+            label: 'Decline', className: 'btn-danger', onClick: () => {
+                sendClipboardMessage(channel, { type: 'clipboard-result', success: false, message: 'The host declined your clipboard' });
+            }
+        }
+    ]);
+}
+
+/**
+ * A viewer asked for a copy of our clipboard (host side)
+ */
+function handleClipboardRequest(viewerId, channel) {
+    const label = viewerLabels.get(viewerId) || 'A viewer';
+    showPrompt('📋 A viewer wants a copy of your clipboard', `${label} is asking for your current clipboard contents`, [
+        {
+            label: 'Share', className: 'btn-secondary', onClick: async () => {
+                try {
+                    const item = await readLocalClipboard();
+                    sendClipboardMessage(channel, { type: 'clipboard-data', item });
+                    showStatusMessage('📋 Clipboard shared', 'success');
+                } catch (error) {
+                    showStatusMessage(`Couldn't read your clipboard: ${error.message}`, 'error');
+                    sendClipboardMessage(channel, { type: 'clipboard-result', success: false, message: `The host's clipboard could not be shared: ${error.message}` });
+                }
+            }
+        },
+        {
+            label: 'Decline', className: 'btn-danger', onClick: () => {
+                sendClipboardMessage(channel, { type: 'clipboard-result', success: false, message: 'The host declined to share their clipboard' });
+            }
+        }
+    ]);
+}
+
+// ============================================
+// File Transfer
+// ============================================
+// Protocol on the 'fileTransfer' channel (ids belong to the sender):
+//   both, on open        file-hello { session } (the tab's transfer session)
+//   sender -> receiver   file-offer { id, name, size, mime, sha256 }, file-cancel { id },
+//                        binary chunks [id u32][chunk index u32][bytes]
+//   receiver -> sender   file-accept { id, fromChunk }, file-decline { id },
+//                        file-verified { id, success }
+// If the channel drops mid-transfer, the sender offers the file again once a
+// channel to the same transfer session opens (after a resume or a reload the
+// socket id is new) and the receiver answers with the chunk to resume from.
+// The bookkeeping lives in file-transfers.js.
+
+/**
+ * Setup the file transfer data channel (both sides)
+ * @param {RTCDataChannel} channel
+ * @param {RTCPeerConnection} peerConnection - Connection the channel belongs to
+ */
+function setupFileChannel(channel, peerConnection) {
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = fileTransferConfig.lowWaterMark;
+    
+    channel.onopen = () => {
+        sendFileMessage(channel, { type: 'file-hello', session: getTransferSessionId() });
+    };
+    
+    channel.onclose = () => {
+        interruptTransfers(channel);
+    };
+    
+    channel.onerror = (error) => {
+        console.error('File channel error:', error);
+    };
+    
+    channel.onmessage = (event) => {
+        if (typeof event.data !== 'string') {
+            receiveFileChunk(channel, event.data);
+            return;
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Error parsing file transfer message:', error);
+            return;
+        }
+        
+        switch (data.type) {
+            case 'file-hello':
+                handleFileHello(channel, getPeerId(peerConnection), data.session);
+                break;
+            case 'file-offer':
+                handleFileOffer(channel, getPeerId(peerConnection), data);
+                break;
+            case 'file-cancel':
+                handleFileCancelled(channel, data.id);
+                break;
+            case 'file-accept':
+                startOutgoingTransfer(channel, data.id, data.fromChunk);
+                break;
+            case 'file-decline':
+                if (findOutgoingTransfer(channel, data.id)) {
+                    finishOutgoingTransfer(data.id, 'Declined by the receiver', 'error');
+                }
+                break;
+            case 'file-verified':
+                if (findOutgoingTransfer(channel, data.id)) {
+                    finishOutgoingTransfer(data.id,
+                        data.success ? '✅ Sent and verified' : '❌ Checksum mismatch on the receiving side',
+                        data.success ? 'success' : 'error');
+                }
+                break;
+        }
+    };
+}
+
+function sendFileMessage(channel, message) {
+    if (channel && channel.readyState === 'open') {
+        channel.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Random id for this tab's transfers, created once per tab
+ */
+function getTransferSessionId() {
+    let session = sessionStorage.getItem(TRANSFER_SESSION_STORAGE_KEY);
+    if (!session) {
+        session = crypto.randomUUID();
+        sessionStorage.setItem(TRANSFER_SESSION_STORAGE_KEY, session);
+    }
+    return session;
+}
+
+/**
+ * Files can go over a channel once it is open and the peer said who it is
+ */
+function isFileChannelReady(channel) {
+    return Boolean(channel) && channel.readyState === 'open' && fileChannelSessions.has(channel);
+}
+
+/**
+ * The peer announced its transfer session: offer it what was interrupted
+ */
+function handleFileHello(channel, peerId, session) {
+    if (typeof session !== 'string' || !session || session.length > 64) return;
+    
+    fileChannelSessions.set(channel, session);
+    if (peerId) {
+        peerTransferSessions.set(peerId, session);
+    }
+    takeResumableTransfers(outgoingTransfers, session, channel).forEach(offerFile);
+}
+
+/**
+ * Send files picked or dropped by the user. The host sends to every
+ * connected viewer, a viewer sends to the host.
+ * @param {FileList|File[]} files
+ */
+async function sendFiles(files) {
+    const peerIds = role === 'host'
+        ? [...fileChannels.keys()].filter(peerId => isFileChannelReady(fileChannels.get(peerId)))
+        : [remotePeerId].filter(peerId => isFileChannelReady(fileChannels.get(peerId)));
+    
+    if (peerIds.length === 0) {
+        showStatusMessage('No one to send files to yet', 'error');
+        return;
+    }
+    
+    for (const file of files) {
+        if (file.size > fileTransferConfig.maxFileSize) {
+            showStatusMessage(`"${file.name}" is too large (limit ${formatBytes(fileTransferConfig.maxFileSize)})`, 'error');
+            continue;
+        }
+        
+        let sha256;
+        try {
+            sha256 = await sha256Hex(await file.arrayBuffer());
+        } catch (error) {
+            showStatusMessage(`Couldn't read "${file.name}": ${error.message}`, 'error');
+            continue;
+        }
+        
+        for (const peerId of peerIds) {
+            const channel = fileChannels.get(peerId);
+            const transfer = {
+                id: crypto.getRandomValues(new Uint32Array(1))[0],
+                file,
+                sha256,
+                peerSession: fileChannelSessions.get(channel),
+                channel,
+                totalChunks: Math.max(1, Math.ceil(file.size / fileTransferConfig.chunkSize)),
+                nextChunk: 0,
+                state: 'offered',
+                ui: createTransferCard(file.name, file.size, 'out')
+            };
+            transfer.ui.cancel.addEventListener('click', () => cancelOutgoingTransfer(transfer.id));
+            outgoingTransfers.set(transfer.id, transfer);
+            offerFile(transfer);
+        }
+    }
+}
+
+function offerFile(transfer) {
+    sendFileMessage(transfer.channel, {
+        type: 'file-offer',
+        id: transfer.id,
+        name: transfer.file.name,
+        size: transfer.file.size,
+        mime: transfer.file.type,
+        sha256: transfer.sha256
+    });
+    updateTransferCard(transfer.ui, transfer.nextChunk, transfer.totalChunks, 'Waiting for the receiver to accept...');
+}
+
+/**
+ * Our transfer a receiver's message is about. Only the channel the transfer
+ * was offered on may answer for it, not another peer guessing the id.
+ */
+function findOutgoingTransfer(channel, id) {
+    const transfer = outgoingTransfers.get(id);
+    return transfer && transfer.channel === channel ? transfer : null;
+}
+
+/**
+ * Stream chunks from the requested position, pausing while the channel's
+ * send buffer is full
+ */
+async function startOutgoingTransfer(channel, id, fromChunk) {
+    const transfer = findOutgoingTransfer(channel, id);
+    if (!transfer || transfer.state === 'sending') return;
+    
+    const { file, totalChunks } = transfer;
+    if (!Number.isInteger(fromChunk) || fromChunk < 0 || fromChunk >= totalChunks) {
+        console.warn(`Ignoring file-accept for transfer ${id} from invalid chunk:`, fromChunk);
+        return;
+    }
+    
+    const { chunkSize, highWaterMark } = fileTransferConfig;
+    transfer.state = 'sending';
+    transfer.nextChunk = fromChunk;
+    
+    while (transfer.nextChunk < totalChunks) {
+        if (transfer.state !== 'sending' || channel.readyState !== 'open') return;
+        
+        if (channel.bufferedAmount > highWaterMark) {
+            await waitForBufferDrain(channel);
+            continue;
+        }
+        
+        const start = transfer.nextChunk * chunkSize;
+        const bytes = await file.slice(start, start + chunkSize).arrayBuffer();
+        const message = new Uint8Array(FILE_CHUNK_HEADER_SIZE + bytes.byteLength);
+        const header = new DataView(message.buffer);
+        header.setUint32(0, id, true);
+        header.setUint32(4, transfer.nextChunk, true);
+        message.set(new Uint8Array(bytes), FILE_CHUNK_HEADER_SIZE);
+        
+        // The state may have changed while the slice was read
+        if (transfer.state !== 'sending' || channel.readyState !== 'open') return;
+        channel.send(message.buffer);
+        transfer.nextChunk++;
+        updateTransferCard(transfer.ui, transfer.nextChunk, totalChunks, 'Sending...');
+    }
+    
+    transfer.state = 'verifying';
+    updateTransferCard(transfer.ui, totalChunks, totalChunks, 'Waiting for the receiver to verify...');
+}
+
+function waitForBufferDrain(channel) {
+    return new Promise(resolve => {
+        const done = () => {
+            channel.removeEventListener('bufferedamountlow', done);
+            channel.removeEventListener('close', done);
+            resolve();
+        };
+        channel.addEventListener('bufferedamountlow', done);
+        channel.addEventListener('close', done);
+    });
+}
+
+function finishOutgoingTransfer(id, message, type) {
+    const transfer = outgoingTransfers.get(id);
+    if (!transfer) return;
+    
+    transfer.state = 'done';
+    outgoingTransfers.delete(id);
+    finishTransferCard(transfer.ui, message, type);
+}
+
+function cancelOutgoingTransfer(id) {
+    const transfer = outgoingTransfers.get(id);
+    if (!transfer) return;
+    
+    sendFileMessage(transfer.channel, { type: 'file-cancel', id });
+    finishOutgoingTransfer(id, 'Cancelled', 'error');
+}
+
+/**
+ * A peer offered us a file: ask first, or pick up where an interrupted
+ * transfer of the same file left off
+ */
+function handleFileOffer(channel, peerId, offer) {
+    const size = Number(offer.size);
+    if (typeof offer.sha256 !== 'string' || !Number.isFinite(size) || size < 0 || size > fileTransferConfig.maxFileSize) {
+        sendFileMessage(channel, { type: 'file-decline', id: offer.id });
+        return;
+    }
+    
+    const name = String(offer.name || 'file').slice(0, 255);
+    const peerSession = fileChannelSessions.get(channel);
+    const existing = findResumableIncoming(incomingTransfers, peerSession, { sha256: offer.sha256, size });
+    if (existing) {
+        // Consent was given the first time round
+        existing.id = offer.id;
+        existing.channel = channel;
+        existing.state = 'receiving';
+        updateTransferCard(existing.ui, existing.chunks.length, existing.totalChunks, 'Resuming...');
+        sendFileMessage(channel, { type: 'file-accept', id: offer.id, fromChunk: existing.chunks.length });
+        return;
+    }
+    
+    const sender = role === 'host' ? (viewerLabels.get(peerId) || 'A viewer') : 'The host';
+    showPrompt('📎 Incoming file', `${sender} wants to send you "${name}" (${formatBytes(size)})`, [
+        {
+            label: 'Accept', className: 'btn-secondary', onClick: () => {
+                const transfer = {
+                    id: offer.id,
+                    name,
+                    size,
+                    mime: typeof offer.mime === 'string' ? offer.mime : '',
+                    sha256: offer.sha256,
+                    peerSession,
+                    channel,
+                    chunks: [],
+                    totalChunks: Math.max(1, Math.ceil(size / fileTransferConfig.chunkSize)),
+                    state: 'receiving',
+                    ui: createTransferCard(name, size, 'in')
+                };
+                transfer.ui.cancel.addEventListener('click', () => cancelIncomingTransfer(transfer));
+                incomingTransfers.set(offer.sha256, transfer);
+                updateTransferCard(transfer.ui, 0, transfer.totalChunks, 'Receiving...');
+                sendFileMessage(channel, { type: 'file-accept', id: offer.id, fromChunk: 0 });
+            }
+        },
+        {
+            label: 'Decline', className: 'btn-danger', onClick: () => {
+                sendFileMessage(channel, { type: 'file-decline', id: offer.id });
+            }
+        }
+    ]);
+}
+
+function findIncomingTransfer(channel, id) {
+    for (const transfer of incomingTransfers.values()) {
+        if (transfer.channel === channel && transfer.id === id) return transfer;
+    }
+    return null;
+}
+
+async function receiveFileChunk(channel, buffer) {
+    if (buffer.byteLength < FILE_CHUNK_HEADER_SIZE) return;
+    
+    const header = new DataView(buffer);
+    const transfer = findIncomingTransfer(channel, header.getUint32(0, true));
+    // The channel is ordered, so anything but the next chunk is a leftover from before a resume
+    if (!transfer || transfer.state !== 'receiving' || header.getUint32(4, true) !== transfer.chunks.length) return;
+    
+    transfer.chunks.push(buffer.slice(FILE_CHUNK_HEADER_SIZE));
+    updateTransferCard(transfer.ui, transfer.chunks.length, transfer.totalChunks, 'Receiving...');
+    
+    if (transfer.chunks.length === transfer.totalChunks) {
+        await verifyIncomingTransfer(transfer);
+    }
+}
+
+/**
+ * Check the reassembled file against the sender's SHA-256 and offer it for download
+ */
+async function verifyIncomingTransfer(transfer) {
+    transfer.state = 'verifying';
+    incomingTransfers.delete(transfer.sha256);
+    updateTransferCard(transfer.ui, transfer.totalChunks, transfer.totalChunks, 'Verifying...');
+    
+    const blob = new Blob(transfer.chunks, { type: transfer.mime });
+    transfer.chunks = [];
+    const success = blob.size === transfer.size &&
+        await sha256Hex(await blob.arrayBuffer()) === transfer.sha256;
+    sendFileMessage(transfer.channel, { type: 'file-verified', id: transfer.id, success });
+    
+    if (!success) {
+        finishTransferCard(transfer.ui, '❌ Checksum mismatch - file discarded', 'error');
+        return;
+    }
+    
+    finishTransferCard(transfer.ui, '✅ Received and verified', 'success');
+    const link = document.createElement('a');
+    link.className = 'btn btn-secondary';
+    link.href = URL.createObjectURL(blob);
+    link.download = transfer.name;
+    link.textContent = 'Save';
+    transfer.ui.actions.prepend(link);
+}
+
+function cancelIncomingTransfer(transfer) {
+    incomingTransfers.delete(transfer.sha256);
+    transfer.state = 'done';
+    sendFileMessage(transfer.channel, { type: 'file-decline', id: transfer.id });
+    finishTransferCard(transfer.ui, 'Cancelled', 'error');
+}
+
+function handleFileCancelled(channel, id) {
+    const transfer = findIncomingTransfer(channel, id);
+    if (!transfer) return;
+    
+    incomingTransfers.delete(transfer.sha256);
+    transfer.state = 'done';
+    finishTransferCard(transfer.ui, 'Cancelled by the sender', 'error');
+}
+
+/**
+ * The channel closed: keep transfers around so they can resume on the next one
+ */
+function interruptTransfers(channel) {
+    const interrupted = interruptChannelTransfers(outgoingTransfers, incomingTransfers, channel);
+    interrupted.outgoing.forEach(transfer => {
+        updateTransferCard(transfer.ui, transfer.nextChunk, transfer.totalChunks, 'Interrupted - will resume when reconnected');
+    });
+    interrupted.incoming.forEach(transfer => {
+        updateTransferCard(transfer.ui, transfer.chunks.length, transfer.totalChunks, 'Interrupted - will resume when reconnected');
+    });
+    // Everything was sent; only the receiver's checksum result got lost
+    interrupted.unconfirmed.forEach(transfer => {
+        finishOutgoingTransfer(transfer.id, 'Sent, but the connection dropped before the receiver verified it', 'error');
+    });
+}
+
+/**
+ * Drop transfers to or from a peer that won't come back (or all of them)
+ * @param {string} [peerId] - Omit to drop everything
+ */
+function abandonTransfers(peerId) {
+    let session = null;
+    if (peerId) {
+        session = peerTransferSessions.get(peerId);
+        peerTransferSessions.delete(peerId);
+        // Nothing was exchanged with it, or the same tab is already back under another socket id
+        if (!session || [...peerTransferSessions.values()].includes(session)) return;
+    } else {
+        peerTransferSessions.clear();
+    }
+    
+    dropTransfers(outgoingTransfers, session).forEach(transfer => {
+        transfer.state = 'done';
+        finishTransferCard(transfer.ui, 'Receiver left', 'error');
+    });
+    dropTransfers(incomingTransfers, session).forEach(transfer => {
+        transfer.state = 'done';
+        finishTransferCard(transfer.ui, 'Sender left', 'error');
+    });
+}
+
+/**
+ * A peer reloaded its page: what it was sending us is gone with it. What we
+ * send it is offered again when its new file channel says hello.
+ */
+function dropReloadedSenderTransfers(peerId) {
+    const session = peerTransferSessions.get(peerId);
+    if (!session) return;
+    
+    dropTransfers(incomingTransfers, session).forEach(transfer => {
+        transfer.state = 'done';
+        finishTransferCard(transfer.ui, 'Sender reloaded the page', 'error');
+    });
+}
+
+/**
+ * Progress card in the transfer list
+ * @returns {{card, bar, status, actions, cancel}} Elements to update later
+ */
+function createTransferCard(name, size, direction) {
+    const card = document.createElement('div');
+    card.className = 'transfer-card';
+    
+    const title = document.createElement('h4');
+    title.textContent = `${direction === 'out' ? '⬆️' : '⬇️'} ${name} (${formatBytes(size)})`;
+    
+    const progress = document.createElement('div');
+    progress.className = 'transfer-progress';
+    const bar = document.createElement('div');
+    progress.appendChild(bar);
+    
+    const status = document.createElement('p');
+    
+    const actions = document.createElement('div');
+    actions.className = 'prompt-actions';
+    const cancel = document.createElement('button');
+    cancel.className = 'btn btn-danger';
+    cancel.textContent = 'Cancel';
+    actions.appendChild(cancel);
+    
+    card.appendChild(title);
+    card.appendChild(progress);
+    card.appendChild(status);
+    card.appendChild(actions);
+    transferContainer.appendChild(card);
+    
+    return { card, bar, status, actions, cancel };
+}
+
+function updateTransferCard(ui, done, total, text) {
+    ui.bar.style.width = `${Math.round((done / total) * 100)}%`;
+    ui.status.textContent = `${text} ${Math.round((done / total) * 100)}%`;
+}
+
+/**
+ * Show the final state and swap Cancel for a Close button
+ */
+function finishTransferCard(ui, text, type) {
+    ui.status.textContent = text;
+    ui.card.classList.add(type);
+    ui.cancel.remove();
+    
+    const close = document.createElement('button');
+    close.className = 'btn btn-secondary';
+    close.textContent = 'Close';
+    close.addEventListener('click', () => {
+        const link = ui.actions.querySelector('a');
+        if (link) {
+            URL.revokeObjectURL(link.href);
+        }
+        ui.card.remove();
+    });
+    ui.actions.appendChild(close);
+}
+
+async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ============================================
+// Chat
+// ============================================
+// Messages { id, from, role, text, sentAt } go over the 'chat' channel and
+// the host passes viewers' messages on to the other viewers. Anyone without
+// an open channel (e.g. before the first offer) falls back to the Socket.IO
+// room, so a message can arrive twice - ids weed out the copies.
+
+/**
+ * Setup the chat data channel (both sides)
+ * @param {RTCDataChannel} channel
+ * @param {RTCPeerConnection} peerConnection - Connection the channel belongs to
+ */
+function setupChatChannel(channel, peerConnection) {
+    channel.onerror = (error) => {
+        console.error('Chat channel error:', error);
+    };
+    
+    channel.onmessage = (event) => {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Error parsing chat message:', error);
+            return;
+        }
+        
+        receiveChatMessage(data, getPeerId(peerConnection));
+    };
+}
+
+/**
+ * Send a message typed by the local user to everyone in the session
+ * @returns {boolean} Whether the message was sent
+ */
+function sendChatMessage(text) {
+    text = text.trim();
+    if (!text || !currentCode) return false;
+    
+    if (text.length > chatConfig.maxMessageLength) {
+        showStatusMessage(`Chat messages can be at most ${chatConfig.maxMessageLength} characters`, 'error');
+        return false;
+    }
+    
+    const message = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        from: socket.id,
+        role,
+        text,
+        sentAt: Date.now()
+    };
+    addChatMessage(message, true);
+    deliverChatMessage(message);
+    return true;
+}
+
+/**
+ * Send a message over the open chat channels, and through the signaling
+ * server if someone can't be reached that way
+ * @param {object} message
+ * @param {string} [exceptPeerId] - Host: the viewer the message came from
+ */
+function deliverChatMessage(message, exceptPeerId) {
+    const payload = JSON.stringify(message);
+    let needsRelay = false;
+    
+    if (role === 'host') {
+        needsRelay = viewersAwaitingStream.size > 0;
+        for (const viewerId of peerConnections.keys()) {
+            if (viewerId === exceptPeerId) continue;
+            const channel = chatChannels.get(viewerId);
+            if (channel && channel.readyState === 'open') {
+                channel.send(payload);
+            } else {
+                needsRelay = true;
+            }
+        }
+    } else {
+        const channel = chatChannels.get(remotePeerId);
+        if (channel && channel.readyState === 'open') {
+            channel.send(payload);
+        } else {
+            needsRelay = true;
+        }
+    }
+    
+    if (needsRelay) {
+        socket.emit('chat-message', message, (response) => {
+            if (response && !response.success) {
+                console.warn(`⚠️ Server refused to relay chat message: ${response.message}`);
+            }
+        });
+    }
+}
+
+/**
+ * Handle a message from a data channel or the signaling server
+ * @param {object} message
+ * @param {string} [viaPeerId] - Peer whose data channel delivered it
+ */
+function receiveChatMessage(message, viaPeerId) {
+    if (!currentCode || !message || typeof message.id !== 'string' || typeof message.text !== 'string') return;
+    if (!message.text.trim() || message.text.length > chatConfig.maxMessageLength) return;
+    if (chatMessageIds.has(message.id)) return;
+    
+    if (role === 'host' && viaPeerId) {
+        // A viewer can only speak for itself
+        message = { ...message, from: viaPeerId, role: 'viewer' };
+        deliverChatMessage(message, viaPeerId);
+    }
+    
+    addChatMessage(message, false);
+}
+
+/**
+ * Add a message to the transcript and the chat panel
+ */
+function addChatMessage(message, own) {
+    const messageRole = message.role === 'host' ? 'host' : 'viewer';
+    const entry = {
+        id: message.id,
+        role: messageRole,
+        sender: messageRole === 'host' ? 'Host' : (role === 'host' && viewerLabels.get(message.from)) || 'Viewer',
+        text: message.text,
+        sentAt: Number(message.sentAt) || Date.now(),
+        own
+    };
+    
+    chatMessageIds.add(entry.id);
+    chatTranscript.push(entry);
+    saveChatTranscript();
+    renderChatMessage(entry);
+    
+    if (!own && chatPanel.style.display === 'none') {
+        chatUnread++;
+        updateChatBadge();
+    }
+}
+
+function renderChatMessage(entry) {
+    const item = document.createElement('div');
+    item.className = `chat-message${entry.own ? ' own' : ''}`;
+    
+    const meta = document.createElement('span');
+    meta.className = 'chat-meta';
+    const time = new Date(entry.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    meta.textContent = `${entry.own ? 'You' : entry.sender} · ${time}`;
+    
+    const text = document.createElement('p');
+    text.textContent = entry.text;
+    
+    item.appendChild(meta);
+    item.appendChild(text);
+    chatMessages.appendChild(item);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function updateChatBadge() {
+    chatBadge.textContent = chatUnread > 99 ? '99+' : String(chatUnread);
+    chatBadge.style.display = chatUnread > 0 ? 'block' : 'none';
+}
+
+function toggleChatPanel(open) {
+    chatPanel.style.display = open ? 'flex' : 'none';
+    if (open) {
+        chatUnread = 0;
+        updateChatBadge();
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        chatInput.focus();
+    }
+}
+
+/**
+ * Show the chat button once we are in a room
+ */
+function enableChat() {
+    chatToggle.style.display = 'flex';
+}
+
+/**
+ * Keep the transcript across a page reload (same tab only)
+ */
+function saveChatTranscript() {
+    sessionStorage.setItem(CHAT_STORAGE_KEY, JSON.stringify({ code: currentCode, messages: chatTranscript }));
+}
+
+/**
+ * Restore the transcript saved for a session we are resuming
+ */
+function loadChatTranscript(code) {
+    let saved = null;
+    try {
+        saved = JSON.parse(sessionStorage.getItem(CHAT_STORAGE_KEY));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved || saved.code !== code || !Array.isArray(saved.messages)) return;
+    
+    saved.messages.forEach(entry => {
+        chatMessageIds.add(entry.id);
+        chatTranscript.push(entry);
+        renderChatMessage(entry);
+    });
+}
+
+/**
+ * Download a transcript as a text file
+ * @param {Array<object>} entries - Transcript entries
+ * @param {string} code - Sharing code of the session
+ */
+function downloadChatTranscript(entries, code) {
+    const lines = entries.map(entry => {
+        const sender = entry.own ? `You (${entry.role})` : entry.sender;
+        return `[${new Date(entry.sentAt).toLocaleString()}] ${sender}: ${entry.text.replace(/\n/g, '\n    ')}`;
+    });
+    const text = `Skibidi Screen Share chat - session ${code}\n\n${lines.join('\n')}\n`;
+    
+    downloadBlob(new Blob([text], { type: 'text/plain' }),
+        `skibidi-chat-${normalizeSharingCode(code)}-${new Date().toISOString().slice(0, 10)}.txt`);
+}
+
+/**
+ * Clear the chat when the session ends, offering to save the transcript first
+ */
+function endChatSession() {
+    if (chatTranscript.length > 0) {
+        const entries = chatTranscript;
+        const code = currentCode;
+        showPrompt('💬 Save the chat transcript?', `${entries.length} message(s) from session ${code}. They will be gone once you close this.`, [
+            { label: 'Save', className: 'btn-secondary', onClick: () => downloadChatTranscript(entries, code) },
+            { label: 'Discard', className: 'btn-danger', onClick: () => {} }
+        ]);
+    }
+    
+    chatTranscript = [];
+    chatMessageIds.clear();
+    sessionStorage.removeItem(CHAT_STORAGE_KEY);
+    chatMessages.textContent = '';
+    chatInput.value = '';
+    chatUnread = 0;
+    updateChatBadge();
+    toggleChatPanel(false);
+    chatToggle.style.display = 'none';
+}
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Merge stored or edited values over the defaults, dropping anything out of range
+ * @param {object} values
+ * @returns {object} A complete settings object
+ */
+function sanitizeSettings(values) {
+    const result = { ...DEFAULT_SETTINGS };
+    if (!values || typeof values !== 'object') return result;
+    
+    for (const [name, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = values[name];
+        const limits = SETTINGS_LIMITS[name];
+        if (typeof fallback === 'boolean') {
+            if (typeof value === 'boolean') result[name] = value;
+        } else if (limits.choices) {
+            if (limits.choices.includes(value)) result[name] = value;
+        } else {
+            const number = Math.round(Number(value));
+            if (Number.isFinite(number)) result[name] = Math.min(limits.max, Math.max(limits.min, number));
+        }
+    }
+    return result;
+}
+
+function loadSettings() {
+    try {
+        settings = sanitizeSettings(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)));
+    } catch (error) {
+        settings = { ...DEFAULT_SETTINGS };
+    }
+    applySettings();
+}
+
+function saveSettings(values) {
+    settings = sanitizeSettings(values);
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save settings:', error);
+    }
+    applySettings();
+}
+
+/**
+ * Copy the settings into the capture and remote control config, and apply
+ * them to the running capture and connections where the browser allows it
+ */
+async function applySettings() {
+    const [width, height] = settings.resolution.split('x').map(Number);
+    Object.assign(screenConstraints.video, {
+        cursor: settings.cursor,
+        frameRate: { ideal: settings.frameRate, max: settings.frameRate },
+        width: { ideal: width, max: width },
+        height: { ideal: height, max: height }
+    });
+    screenConstraints.audio = settings.audio ? screenAudioConstraints : false;
+    
+    remoteControlConfig.batchInterval = settings.batchInterval;
+    remoteControlConfig.mouseMoveThrottle = settings.mouseMoveThrottle;
+    remoteControlConfig.maxBatchSize = settings.maxBatchSize;
+    
+    // Restart the batching timer so a new interval takes effect
+    if (eventBatchInterval) {
+        clearInterval(eventBatchInterval);
+        eventBatchInterval = null;
+        startEventBatching();
+    }
+    
+    if (!localStream) return;
+    
+    const [videoTrack] = localStream.getVideoTracks();
+    if (videoTrack) {
+        applyContentHint(videoTrack);
+        try {
+            await videoTrack.applyConstraints({
+                frameRate: screenConstraints.video.frameRate,
+                width: screenConstraints.video.width,
+                height: screenConstraints.video.height
+            });
+        } catch (error) {
+            console.warn('Could not apply capture constraints:', error);
+        }
+    }
+    
+    for (const viewerId of peerConnections.keys()) {
+        applyViewerEncoding(viewerId);
+    }
+}
+
+/**
+ * Set the bitrate and frame rate caps, resolution scale, priority, and what
+ * to give up first under congestion on a video sender. The caps come from the
+ * settings, scaled down by the viewer's adaptive quality rung.
+ * @param {RTCRtpSender} sender
+ * @param {string} viewerId
+ */
+function applyVideoEncoding(sender, viewerId) {
+    const controller = getQualityController(viewerId);
+    const mode = getEffectiveQualityMode(controller);
+    const step = QUALITY_LADDERS[mode][controller.rung];
+    
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+        parameters.encodings = [{}];
+    }
+    parameters.encodings[0].maxBitrate = Math.round(settings.maxBitrate * 1000 * step.bitrate);
+    parameters.encodings[0].maxFramerate = Math.max(1, Math.round(settings.frameRate * step.framerate));
+    parameters.encodings[0].scaleResolutionDownBy = step.scale;
+    parameters.encodings[0].priority = 'high';
+    parameters.encodings[0].networkPriority = 'high';
+    parameters.degradationPreference = mode === 'smoothness' ? 'maintain-framerate' : 'maintain-resolution';
+    return sender.setParameters(parameters).catch(error => {
+        console.warn('Could not set encoding parameters:', error);
+    });
+}
+
+/**
+ * Tell the encoder whether the screen track is mostly text ('detail') or
+ * video/games ('motion')
+ * @param {MediaStreamTrack} track
+ */
+function applyContentHint(track) {
+    if ('contentHint' in track) {
+        track.contentHint = settings.contentHint;
+    }
+}
+
+/**
+ * Selectable video codecs (see SETTINGS_LIMITS) that this browser can send
+ * @returns {string[]} Mime types, e.g. 'video/VP9'
+ */
+function getVideoCodecs() {
+    if (typeof RTCRtpSender === 'undefined' || !RTCRtpSender.getCapabilities) return [];
+    const capabilities = RTCRtpSender.getCapabilities('video');
+    if (!capabilities) return [];
+    
+    const supported = capabilities.codecs.map(codec => codec.mimeType.toLowerCase());
+    return SETTINGS_LIMITS.codec.choices.filter(mimeType => mimeType && supported.includes(mimeType.toLowerCase()));
+}
+
+/**
+ * Put the preferred codec first on the connection's video transceivers.
+ * Takes effect at the next offer/answer.
+ * @param {RTCPeerConnection} peerConnection
+ */
+function applyCodecPreference(peerConnection) {
+    if (!settings.codec || typeof RTCRtpTransceiver === 'undefined' ||
+        !('setCodecPreferences' in RTCRtpTransceiver.prototype)) return;
+    
+    const { codecs } = RTCRtpSender.getCapabilities('video');
+    const preferred = codecs.filter(codec => codec.mimeType.toLowerCase() === settings.codec.toLowerCase());
+    if (preferred.length === 0) {
+        console.warn(`⚠️ Preferred codec ${settings.codec} is not supported by this browser`);
+        return;
+    }
+    
+    const ordered = [...preferred, ...codecs.filter(codec => !preferred.includes(codec))];
+    peerConnection.getTransceivers().forEach(transceiver => {
+        if (transceiver.sender.track && transceiver.sender.track.kind === 'video') {
+            try {
+                transceiver.setCodecPreferences(ordered);
+            } catch (error) {
+                console.warn('Could not set codec preferences:', error);
+            }
+        }
+    });
+}
+
+/**
+ * Open the settings dialog filled in with the current settings
+ */
+function openSettings() {
+    const codecSelect = settingsForm.elements.codec;
+    codecSelect.textContent = '';
+    ['', ...getVideoCodecs()].forEach(mimeType => {
+        const option = document.createElement('option');
+        option.value = mimeType;
+        option.textContent = mimeType ? mimeType.replace('video/', '') : 'Browser default';
+        codecSelect.appendChild(option);
+    });
+    
+    fillSettingsForm(settings);
+    settingsOverlay.style.display = 'flex';
+}
+
+function closeSettings() {
+    settingsOverlay.style.display = 'none';
+}
+
+function fillSettingsForm(values) {
+    for (const name of Object.keys(DEFAULT_SETTINGS)) {
+        const field = settingsForm.elements[name];
+        if (field.type === 'checkbox') {
+            field.checked = values[name];
+        } else {
+            field.value = String(values[name]);
+        }
+    }
+}
+
+function readSettingsForm() {
+    const values = {};
+    for (const name of Object.keys(DEFAULT_SETTINGS)) {
+        const field = settingsForm.elements[name];
+        if (field.type === 'checkbox') {
+            values[name] = field.checked;
+        } else if (typeof DEFAULT_SETTINGS[name] === 'number') {
+            values[name] = Number(field.value);
+        } else {
+            values[name] = field.value;
+        }
+    }
+    return values;
+}
+
+// ============================================
+// Adaptive Quality
+// ============================================
+// The host samples each viewer's connection and moves that viewer along a
+// quality ladder (see QUALITY_LADDERS). Viewers can ask the host to protect
+// sharpness or smoothness with a 'quality-mode' message.
+
+function getQualityController(viewerId) {
+    let controller = qualityControllers.get(viewerId);
+    if (!controller) {
+        controller = { rung: 0, mode: 'auto', congested: 0, healthy: 0, downgradedAt: 0 };
+        qualityControllers.set(viewerId, controller);
+    }
+    return controller;
+}
+
+/**
+ * 'sharpness' or 'smoothness' - the viewer's wish, or the host's content hint
+ */
+function getEffectiveQualityMode(controller) {
+    if (controller.mode !== 'auto') return controller.mode;
+    return settings.contentHint === 'motion' ? 'smoothness' : 'sharpness';
+}
+
+/**
+ * Re-apply the encoding parameters of every video sender to a viewer
+ */
+function applyViewerEncoding(viewerId) {
+    const peerConnection = peerConnections.get(viewerId);
+    if (!peerConnection) return;
+    
+    peerConnection.getSenders()
+        .filter(sender => sender.track && sender.track.kind === 'video')
+        .forEach(sender => applyVideoEncoding(sender, viewerId));
+}
+
+function startQualityController() {
+    stopQualityController();
+    
+    qualityInterval = setInterval(() => {
+        for (const [viewerId, peerConnection] of peerConnections) {
+            if (peerConnection.connectionState === 'connected') {
+                updateViewerQuality(viewerId, peerConnection);
+            }
+        }
+    }, qualityConfig.interval);
+}
+
+function stopQualityController() {
+    if (qualityInterval) {
+        clearInterval(qualityInterval);
+        qualityInterval = null;
+    }
+}
+
+/**
+ * Take one sample of a viewer's connection and step its quality if the
+ * network has been congested (or healthy) for long enough
+ */
+async function updateViewerQuality(viewerId, peerConnection) {
+    let stats;
+    try {
+        stats = await peerConnection.getStats();
+    } catch (error) {
+        return;
+    }
+    
+    let outbound = null;
+    let remoteInbound = null;
+    let availableBitrate = null;
+    stats.forEach(report => {
+        if (report.type === 'outbound-rtp' && report.kind === 'video') {
+            outbound = report;
+        } else if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+            remoteInbound = report;
+        } else if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded' &&
+                   typeof report.availableOutgoingBitrate === 'number') {
+            availableBitrate = report.availableOutgoingBitrate;
+        }
+    });
+    
+    // The viewer may have left (or resumed under a new id) while we waited
+    const controller = qualityControllers.get(viewerId);
+    if (!outbound || !controller || peerConnections.get(viewerId) !== peerConnection) return;
+    
+    const ladder = QUALITY_LADDERS[getEffectiveQualityMode(controller)];
+    const loss = (remoteInbound && remoteInbound.fractionLost) || 0;
+    const rtt = (remoteInbound && remoteInbound.roundTripTime) || 0;
+    const limitation = outbound.qualityLimitationReason;
+    const targetBitrate = settings.maxBitrate * 1000 * ladder[controller.rung].bitrate;
+    
+    // The browser reports 'bandwidth' when it merely hits our own cap, so
+    // trust the bandwidth estimate when there is one
+    const bandwidthLimited = availableBitrate !== null
+        ? availableBitrate < targetBitrate * 0.8
+        : limitation === 'bandwidth';
+    const congested = loss > qualityConfig.congestedLoss || rtt > qualityConfig.congestedRtt ||
+        limitation === 'cpu' || bandwidthLimited;
+    const healthy = !congested && loss < qualityConfig.healthyLoss && rtt < qualityConfig.healthyRtt;
+    
+    if (congested) {
+        controller.healthy = 0;
+        controller.congested++;
+        if (controller.congested >= qualityConfig.downgradeAfter && controller.rung < ladder.length - 1) {
+            const reason = limitation === 'cpu' ? 'encoder overloaded'
+                : bandwidthLimited ? 'bandwidth' : `loss ${Math.round(loss * 100)}%, RTT ${Math.round(rtt * 1000)}ms`;
+            setQualityRung(viewerId, controller.rung + 1, reason);
+        }
+    } else if (healthy) {
+        controller.congested = 0;
+        controller.healthy++;
+        if (controller.healthy >= qualityConfig.upgradeAfter && controller.rung > 0 &&
+            Date.now() - controller.downgradedAt >= qualityConfig.upgradeCooldown) {
+            setQualityRung(viewerId, controller.rung - 1, 'network recovered');
+        }
+    } else {
+        // In between: hold the current rung
+        controller.congested = 0;
+        controller.healthy = 0;
+    }
+}
+
+function setQualityRung(viewerId, rung, reason) {
+    const controller = getQualityController(viewerId);
+    if (rung > controller.rung) {
+        controller.downgradedAt = Date.now();
+    }
+    controller.rung = rung;
+    controller.congested = 0;
+    controller.healthy = 0;
+    
+    console.log(`${reason === 'network recovered' ? '📈' : '📉'} Quality for ${viewerId} -> rung ${rung} (${reason})`);
+    applyViewerEncoding(viewerId);
+}
+
+/**
+ * A viewer asked us to protect sharpness or smoothness (host side)
+ */
+function setViewerQualityMode(viewerId, mode) {
+    if (!QUALITY_MODES.includes(mode)) return;
+    
+    getQualityController(viewerId).mode = mode;
+    console.log(`🎯 Viewer ${viewerId} prefers ${mode} quality`);
+    applyViewerEncoding(viewerId);
+}
+
+/**
+ * Switch between auto / prefer sharpness / prefer smoothness (viewer side)
+ */
+function cycleQualityMode() {
+    qualityMode = QUALITY_MODES[(QUALITY_MODES.indexOf(qualityMode) + 1) % QUALITY_MODES.length];
+    sendQualityMode();
+    
+    const button = document.getElementById('qualityModeBtn');
+    if (button) {
+        button.textContent = QUALITY_MODE_LABELS[qualityMode];
+    }
+}
+
+function sendQualityMode() {
+    const dataChannel = getReliableChannel();
+    if (dataChannel && dataChannel.readyState === 'open') {
+        dataChannel.send(JSON.stringify({ type: 'quality-mode', mode: qualityMode }));
+    }
+}
+
+// ============================================
+// Session Recording
+// ============================================
+// Host records its own capture, viewers the stream they receive. Chunks go
+// to IndexedDB as they arrive, so a long session doesn't pile up in memory
+// and a recording interrupted by a crash or reload can still be saved.
+
+function openRecordingDb() {
+    if (!recordingDb) {
+        recordingDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(RECORDING_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore('chunks', { autoIncrement: true });
+                store.createIndex('recordingId', 'recordingId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later attempt try again
+        recordingDb.catch(() => {
+            recordingDb = null;
+        });
+    }
+    return recordingDb;
+}
+
+/**
+ * Run one IndexedDB request against the chunk store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Gets the store, returns an IDBRequest
+ */
+async function withChunkStore(mode, run) {
+    const db = await openRecordingDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('chunks', mode);
+        const request = run(transaction.objectStore('chunks'));
+        transaction.oncomplete = () => resolve(request && request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function saveRecordingChunk(recording, blob) {
+    return withChunkStore('readwrite', store => store.add({
+        recordingId: recording.id,
+        code: recording.code,
+        startedAt: recording.startedAt,
+        mimeType: recording.mimeType,
+        blob
+    }));
+}
+
+/**
+ * All chunks of a recording in the order they were written
+ */
+function readRecordingChunks(recordingId) {
+    return withChunkStore('readonly', store => store.index('recordingId').getAll(recordingId));
+}
+
+function deleteRecordingChunks(recordingId) {
+    return withChunkStore('readwrite', store => {
+        const request = store.index('recordingId').openKeyCursor(IDBKeyRange.only(recordingId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        return null;
+    });
+}
+
+/**
+ * Start recording the session (host: our capture, viewer: the host's stream)
+ */
+async function startRecording() {
+    const stream = role === 'host' ? localStream : remoteStream;
+    if (mediaRecorder) return;
+    if (!stream) {
+        showStatusMessage('There is no stream to record yet', 'error');
+        return;
+    }
+    if (typeof MediaRecorder === 'undefined' || typeof indexedDB === 'undefined') {
+        showStatusMessage('Recording is not supported in this browser', 'error');
+        return;
+    }
+    
+    let recorder;
+    try {
+        await openRecordingDb();
+        const mimeType = recordingConfig.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (error) {
+        console.error('Could not start recording:', error);
+        showStatusMessage(`Could not start recording: ${error.message}`, 'error');
+        return;
+    }
+    
+    const recording = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        code: currentCode,
+        startedAt: Date.now(),
+        mimeType: recorder.mimeType || 'video/webm',
+        writes: Promise.resolve(),
+        failed: false
+    };
+    
+    recorder.ondataavailable = (event) => {
+        if (event.data.size === 0) return;
+        recording.writes = recording.writes
+            .then(() => saveRecordingChunk(recording, event.data))
+            .catch(error => {
+                console.error('Error saving recording chunk:', error);
+                recording.failed = true;
+            });
+    };
+    
+    // Also fires when the stream ends on its own
+    recorder.onstop = () => {
+        if (mediaRecorder === recorder) {
+            mediaRecorder = null;
+            recordingStartedAt = 0;
+            clearInterval(recordingTimer);
+            recordingTimer = null;
+            if (currentCode) {
+                socket.emit('recording-state', { recording: false });
+            }
+            updateRecordingIndicator();
+        }
+        finishRecording(recording);
+    };
+    
+    recorder.start(recordingConfig.timeslice);
+    mediaRecorder = recorder;
+    recordingStartedAt = recording.startedAt;
+    recordingTimer = setInterval(updateRecordingIndicator, 1000);
+    
+    // Let everyone else in the session know they are being recorded
+    socket.emit('recording-state', { recording: true });
+    updateRecordingIndicator();
+    showStatusMessage('Recording started', 'success');
+}
+
+function stopRecording() {
+    if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+    }
+}
+
+/**
+ * Assemble the stored chunks into a WebM file, download it and clean up
+ */
+async function finishRecording(recording) {
+    await recording.writes;
+    try {
+        await saveStoredRecording(recording.id);
+        showStatusMessage(recording.failed
+            ? 'Recording saved, but parts of it could not be stored'
+            : 'Recording saved', recording.failed ? 'error' : 'success');
+    } catch (error) {
+        console.error('Error finishing recording:', error);
+        showStatusMessage('Could not save the recording', 'error');
+    }
+}
+
+/**
+ * Download a recording from IndexedDB and remove it from there
+ */
+async function saveStoredRecording(recordingId) {
+    const chunks = await readRecordingChunks(recordingId);
+    if (chunks.length > 0) {
+        const { code, startedAt, mimeType } = chunks[0];
+        const blob = new Blob(chunks.map(chunk => chunk.blob), { type: mimeType.split(';')[0] });
+        const date = new Date(startedAt).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+        downloadBlob(blob, `skibidi-recording-${normalizeSharingCode(code || '')}-${date}.webm`);
+    }
+    await deleteRecordingChunks(recordingId);
+}
+
+/**
+ * Offer to save recordings left behind by a crash or page reload
+ */
+async function recoverRecordings() {
+    if (typeof indexedDB === 'undefined') return;
+    
+    let chunks;
+    try {
+        chunks = await withChunkStore('readonly', store => store.getAll());
+    } catch (error) {
+        console.warn('Could not check for unsaved recordings:', error);
+        return;
+    }
+    
+    const recordings = new Map();
+    chunks.forEach(chunk => {
+        if (!recordings.has(chunk.recordingId)) {
+            recordings.set(chunk.recordingId, chunk);
+        }
+    });
+    
+    recordings.forEach(({ recordingId, code, startedAt }) => {
+        showPrompt('🎞️ Unsaved recording found', `A recording of session ${code} from ${new Date(startedAt).toLocaleString()} was interrupted. Save what was captured?`, [
+            { label: 'Save', className: 'btn-secondary', onClick: () => saveStoredRecording(recordingId) },
+            { label: 'Discard', className: 'btn-danger', onClick: () => deleteRecordingChunks(recordingId) }
+        ]);
+    });
+}
+
+/**
+ * Someone else in the session started or stopped recording
+ */
+function handleRecordingState(data) {
+    if (data.recording) {
+        recordingPeers.set(data.peerId, data.role);
+        showStatusMessage(`${data.role === 'host' ? 'The host' : 'A viewer'} started recording this session`, 'info');
+    } else {
+        recordingPeers.delete(data.peerId);
+    }
+    updateRecordingIndicator();
+}
+
+/**
+ * Show who is recording, including ourselves, and the record button state
+ */
+function updateRecordingIndicator() {
+    const parts = [];
+    if (recordingStartedAt) {
+        const seconds = Math.floor((Date.now() - recordingStartedAt) / 1000);
+        parts.push(`⏺ Recording ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+    }
+    
+    const roles = [...recordingPeers.values()];
+    if (roles.includes('host')) {
+        parts.push('🔴 The host is recording');
+    }
+    const viewers = roles.filter(peerRole => peerRole === 'viewer').length;
+    if (viewers > 0) {
+        parts.push(`🔴 ${viewers === 1 ? 'A viewer is' : `${viewers} viewers are`} recording`);
+    }
+    
+    recordingIndicator.textContent = parts.join(' · ');
+    recordingIndicator.style.display = parts.length > 0 ? 'block' : 'none';
+    
+    recordBtn.classList.toggle('recording', Boolean(mediaRecorder));
+    recordBtn.title = mediaRecorder ? 'Stop Recording' : 'Start Recording';
+}
+
+// ============================================
+// Input Latency & Cursor Prediction (Viewer)
+// ============================================
+
+/**
+ * Ping the host over the unreliable channel to measure input round-trip time
+ */
+function startLatencyProbe() {
+    stopLatencyProbe();
+    
+    latencyProbeInterval = setInterval(() => {
+        const dataChannel = getControlChannel();
+        if (dataChannel && dataChannel.readyState === 'open') {
+            dataChannel.send(JSON.stringify({ type: 'ping', sentAt: performance.now() }));
+        }
+    }, remoteControlConfig.pingInterval);
+}
+
+function stopLatencyProbe() {
+    if (latencyProbeInterval) {
+        clearInterval(latencyProbeInterval);
+        latencyProbeInterval = null;
+    }
+}
+
+function recordInputLatency(rtt) {
+    if (!Number.isFinite(rtt) || rtt < 0) return;
+    
+    inputLatencyHistory.push(rtt);
+    if (inputLatencyHistory.length > remoteControlConfig.latencyHistorySize) {
+        inputLatencyHistory.shift();
+    }
+}
+
+/**
+ * Percentile of the recorded input round-trip times
+ * @param {number} p - 0..100
+ * @returns {number|null} null until a pong has come back
+ */
+function getInputLatencyPercentile(p) {
+    if (inputLatencyHistory.length === 0) return null;
+    
+    const sorted = [...inputLatencyHistory].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function formatInputLatency() {
+    const p50 = getInputLatencyPercentile(50);
+    if (p50 === null) return 'measuring...';
+    
+    return `p50 ${Math.round(p50)} ms / p95 ${Math.round(getInputLatencyPercentile(95))} ms`;
+}
+
+/**
+ * Show a local cursor over the remote video. The host's real cursor only
+ * moves once our input arrives, so this one stays under the user's hand,
+ * extrapolated ahead by half the measured round trip.
+ */
+function startCursorPrediction() {
+    stopCursorPrediction();
+    
+    const cursor = document.createElement('div');
+    cursor.id = 'predictedCursor';
+    cursor.className = 'predicted-cursor';
+    screenDisplay.appendChild(cursor);
+    
+    cursorPrediction = { x: 0, y: 0, vx: 0, vy: 0, movedAt: 0, shownX: null, shownY: null, frame: null };
+    cursorPrediction.frame = requestAnimationFrame(renderPredictedCursor);
+}
+
+function stopCursorPrediction() {
+    if (cursorPrediction) {
+        cancelAnimationFrame(cursorPrediction.frame);
+        cursorPrediction = null;
+    }
+    
+    const cursor = document.getElementById('predictedCursor');
+    if (cursor) {
+        cursor.remove();
+    }
+}
+
+/**
+ * Record the pointer position and velocity (px/ms, relative to the video area)
+ */
+function trackCursor(e) {
+    if (!cursorPrediction) return;
+    
+    const rect = screenDisplay.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const now = performance.now();
+    const elapsed = now - cursorPrediction.movedAt;
+    
+    if (cursorPrediction.movedAt && elapsed > 0 && elapsed < 100) {
+        cursorPrediction.vx = (x - cursorPrediction.x) / elapsed;
+        cursorPrediction.vy = (y - cursorPrediction.y) / elapsed;
+    } else {
+        cursorPrediction.vx = 0;
+        cursorPrediction.vy = 0;
+    }
+    
+    cursorPrediction.x = x;
+    cursorPrediction.y = y;
+    cursorPrediction.movedAt = now;
+}
+
+function hidePredictedCursor() {
+    const cursor = document.getElementById('predictedCursor');
+    if (cursor) {
+        cursor.style.display = 'none';
+    }
+    // Stays hidden until the pointer moves over the video again
+    if (cursorPrediction) {
+        cursorPrediction.movedAt = 0;
+        cursorPrediction.shownX = null;
+    }
 }
 
-function handleMouseWheel(e) {
-    if (!remoteControlEnabled) return;
-    e.preventDefault();
+/**
+ * Animation frame: ease the overlay toward the predicted position
+ */
+function renderPredictedCursor() {
+    if (!cursorPrediction) return;
+    cursorPrediction.frame = requestAnimationFrame(renderPredictedCursor);
     
-    queueControlEvent({
-        type: 'wheel',
-        deltaX: e.deltaX,
-        deltaY: e.deltaY,
-        deltaMode: e.deltaMode
-    });
+    const cursor = document.getElementById('predictedCursor');
+    if (!cursor || !cursorPrediction.movedAt) return;
+    
+    let targetX = cursorPrediction.x;
+    let targetY = cursorPrediction.y;
+    
+    // Extrapolate only while the pointer is actually moving
+    const idle = performance.now() - cursorPrediction.movedAt;
+    if (remoteControlConfig.enablePrediction && idle < 50) {
+        const halfRtt = (getInputLatencyPercentile(50) || 0) / 2;
+        const lookahead = Math.min(halfRtt, remoteControlConfig.maxPredictionMs);
+        targetX += cursorPrediction.vx * lookahead;
+        targetY += cursorPrediction.vy * lookahead;
+    }
+    
+    if (cursorPrediction.shownX === null) {
+        cursorPrediction.shownX = targetX;
+        cursorPrediction.shownY = targetY;
+    } else {
+        const smoothing = remoteControlConfig.predictionSmoothing;
+        cursorPrediction.shownX += (targetX - cursorPrediction.shownX) * smoothing;
+        cursorPrediction.shownY += (targetY - cursorPrediction.shownY) * smoothing;
+    }
+    
+    cursor.style.display = 'block';
+    cursor.style.transform = `translate(${cursorPrediction.shownX}px, ${cursorPrediction.shownY}px)`;
 }
 
-function handleContextMenu(e) {
-    if (remoteControlEnabled) {
-        e.preventDefault();
+// ============================================
+// Companion Agent (Host Input Injection)
+// ============================================
+
+/**
+ * The agent runs on the host's own machine. Any other address would receive
+ * every forwarded keystroke and click, so only plain loopback URLs are used.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLocalAgentUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'ws:' && ['127.0.0.1', '[::1]', 'localhost'].includes(hostname);
+    } catch (error) {
+        return false;
     }
 }
 
-// Keyboard event handlers
-function handleKeyDown(e) {
-    if (!remoteControlEnabled) return;
+/**
+ * Agent URL and pairing token. Opening the page with
+ * #agent-token=...&agent-url=... stores them for later visits; agent URLs
+ * other than loopback ones are ignored.
+ * @returns {{url: string, token: string}}
+ */
+function loadAgentSettings() {
+    let settings = {};
+    try {
+        settings = JSON.parse(localStorage.getItem(AGENT_STORAGE_KEY)) || {};
+    } catch (error) {
+        settings = {};
+    }
     
-    // Don't prevent certain browser shortcuts
-    if (e.key === 'F5' || (e.ctrlKey && e.key === 'r')) return;
-    if (e.key === 'F11') return;
-    if (e.key === 'F12') return;
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (params.has('agent-token') || params.has('agent-url')) {
+        let linkUrl = params.get('agent-url');
+        if (linkUrl && !isLocalAgentUrl(linkUrl)) {
+            console.warn('Ignoring companion agent URL that is not on this machine:', linkUrl);
+            showStatusMessage('Ignored an agent address from the link: the agent must run on this computer', 'error');
+            linkUrl = null;
+        }
+        settings = {
+            url: linkUrl || settings.url,
+            token: params.get('agent-token') || settings.token
+        };
+        localStorage.setItem(AGENT_STORAGE_KEY, JSON.stringify(settings));
+        // Keep the token out of the address bar and history
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
     
-    e.preventDefault();
+    return {
+        // Also drops URLs saved before they were checked
+        url: settings.url && isLocalAgentUrl(settings.url) ? settings.url : agentConfig.defaultUrl,
+        token: settings.token || ''
+    };
+}
+
+/**
+ * Connect to the companion agent (host). Quietly retries while hosting.
+ */
+function connectAgent() {
+    if (agentSocket || role !== 'host') return;
     
-    sendControlEventImmediate({
-        type: 'keydown',
-        key: e.key,
-        code: e.code,
-        ctrlKey: e.ctrlKey,
-        shiftKey: e.shiftKey,
-        altKey: e.altKey,
-        metaKey: e.metaKey
-    });
+    const { url, token } = loadAgentSettings();
+    try {
+        const agentUrl = new URL(url);
+        if (token) {
+            agentUrl.searchParams.set('token', token);
+        }
+        agentSocket = new WebSocket(agentUrl.toString());
+    } catch (error) {
+        console.warn('Invalid companion agent URL:', url);
+        return;
+    }
+    
+    agentSocket.onmessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'ready') {
+            agentInfo = { injector: message.injector, screen: message.screen };
+            console.log(`🖱️ Companion agent connected (${message.injector}, ${message.screen.width}x${message.screen.height})`);
+            showStatusMessage('Desktop control agent connected - viewers can now control your screen', 'success');
+            updateAgentBadge();
+        }
+    };
+    
+    agentSocket.onclose = () => {
+        const wasReady = agentInfo !== null;
+        agentSocket = null;
+        agentInfo = null;
+        updateAgentBadge();
+        
+        if (role !== 'host') return;
+        if (wasReady) {
+            showStatusMessage('Desktop control agent disconnected', 'error');
+        }
+        agentReconnectTimer = setTimeout(() => {
+            agentReconnectTimer = null;
+            connectAgent();
+        }, agentConfig.reconnectDelay);
+    };
 }
 
-function handleKeyUp(e) {
-    if (!remoteControlEnabled) return;
-    e.preventDefault();
+/**
+ * Disconnect from the companion agent and stop retrying
+ */
+function disconnectAgent() {
+    if (agentReconnectTimer) {
+        clearTimeout(agentReconnectTimer);
+        agentReconnectTimer = null;
+    }
+    if (agentSocket) {
+        agentSocket.onclose = null;
+        agentSocket.close();
+        agentSocket = null;
+    }
+    agentInfo = null;
+}
+
+/**
+ * Pass a remote control event on to the agent (dropped if it isn't running)
+ */
+function forwardToAgent(event) {
+    if (agentInfo && agentSocket.readyState === WebSocket.OPEN) {
+        agentSocket.send(JSON.stringify(event));
+    }
+}
+
+/**
+ * Show on the host's preview whether viewer input reaches the desktop
+ */
+function updateAgentBadge() {
+    const badge = document.getElementById('agentBadge');
+    if (!badge) return;
     
-    sendControlEventImmediate({
-        type: 'keyup',
-        key: e.key,
-        code: e.code,
-        ctrlKey: e.ctrlKey,
-        shiftKey: e.shiftKey,
-        altKey: e.altKey,
-        metaKey: e.metaKey
-    });
+    if (agentInfo) {
+        badge.textContent = `🖱️ Desktop control: on (${agentInfo.injector})`;
+        badge.style.background = 'rgba(80, 200, 120, 0.9)';
+    } else {
+        badge.textContent = '🖱️ Desktop control: off (run "npm run agent")';
+        badge.style.background = 'rgba(100, 100, 100, 0.9)';
+    }
 }
 
 // ============================================
 // Utility Functions
 // ============================================
 
+/**
+ * Strips separators and case from a sharing code (mirrors the server)
+ * @param {string} code - The code as typed or pasted
+ * @returns {string} Uppercase letters and digits only
+ */
+function normalizeSharingCode(code) {
+    return code.toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
 /**
  * Validates the format of a sharing code
  * @param {string} code - The code to validate
  * @returns {boolean} True if valid, false otherwise
  */
 function validateSharingCode(code) {
-    const cleanCode = code.replace(/\s/g, '');
-    const pattern = /^\d{3}-\d{3}-\d{3}$|^\d{9}$/;
-    return pattern.test(cleanCode);
+    const cleanCode = normalizeSharingCode(code);
+    // Standard 9-digit codes, or secure codes of any length the server
+    // allows (SECURE_CODE_LENGTH is 6 to 32, see resolveCodeFormat)
+    return /^[0-9A-Z]{6,32}$/.test(cleanCode);
 }
 
 /**
- * Formats input as user types to match XXX-XXX-XXX pattern
+ * Formats input as user types: XXX-XXX-XXX for standard codes,
+ * XXXX-XXXX-XXXX for longer secure codes
  */
 function formatSharingCode(value) {
-    const digits = value.replace(/\D/g, '');
+    const cleanCode = normalizeSharingCode(value).slice(0, 32);
+    if (!cleanCode) return '';
     
-    if (digits.length <= 3) {
-        return digits;
-    } else if (digits.length <= 6) {
-        return `${digits.slice(0, 3)}-${digits.slice(3)}`;
-    } else {
-        return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6, 9)}`;
-    }
+    const isStandard = cleanCode.length <= 9 && /^\d+$/.test(cleanCode);
+    const groupSize = isStandard ? 3 : 4;
+    return cleanCode.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-');
+}
+
+/**
+ * Short browser/OS description from a user agent string
+ */
+function describeUserAgent(userAgent = '') {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\//.test(userAgent) ? 'Opera'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Unknown browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : 'unknown OS';
+    return `${browser} on ${os}`;
+}
+
+/**
+ * Save a blob through the browser's download prompt
+ */
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+/**
+ * Show an actionable prompt card in the corner of the page
+ * @param {string} title
+ * @param {string} message
+ * @param {Array<{label: string, className: string, onClick: Function}>} actions
+ * @returns {HTMLElement} The prompt card (call remove() to dismiss it)
+ */
+function showPrompt(title, message, actions) {
+    const card = document.createElement('div');
+    card.className = 'prompt-card';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    
+    const text = document.createElement('p');
+    text.textContent = message;
+    
+    const actionRow = document.createElement('div');
+    actionRow.className = 'prompt-actions';
+    
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = `btn ${action.className}`;
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            card.remove();
+            action.onClick();
+        });
+        actionRow.appendChild(button);
+    });
+    
+    card.appendChild(heading);
+    card.appendChild(text);
+    card.appendChild(actionRow);
+    promptContainer.appendChild(card);
+    
+    return card;
 }
 
 /**
@@ -1026,19 +4408,45 @@ function updateConnectionStatus(status, text) {
     statusText.textContent = text;
 }
 
+/**
+ * Update the host's status indicator with the number of connected viewers
+ */
+function updateHostStatus() {
+    if (role !== 'host') return;
+    
+    let viewerCount = 0;
+    peerConnections.forEach(peerConnection => {
+        if (peerConnection.connectionState === 'connected') {
+            viewerCount++;
+        }
+    });
+    const reconnectingCount = peerRecovery.size;
+    
+    if (reconnectingCount > 0) {
+        updateConnectionStatus('reconnecting', `Sharing as ${currentCode} - ${viewerCount} connected, ${reconnectingCount} reconnecting...`);
+    } else if (viewerCount === 0) {
+        updateConnectionStatus('connected', `Sharing as ${currentCode} - Waiting for viewer...`);
+    } else {
+        updateConnectionStatus('connected', `Sharing as ${currentCode} - ${viewerCount} viewer${viewerCount === 1 ? '' : 's'} connected`);
+    }
+}
+
 // ============================================
 // Screen Sharing Functions
 // ============================================
 
 /**
  * Start screen sharing (host)
+ * @param {string} code - Sharing code of the room
+ * @param {boolean} [pinProtected] - Whether viewers need a PIN to join
  */
-async function startScreenSharing(code) {
+async function startScreenSharing(code, pinProtected = false) {
     try {
         updateConnectionStatus('connecting', 'Starting screen capture...');
         
         // Request screen capture with optimized settings
         localStream = await navigator.mediaDevices.getDisplayMedia(screenConstraints);
+        applyContentHint(localStream.getVideoTracks()[0]);
         
         currentCode = code;
         role = 'host';
@@ -1058,15 +4466,46 @@ async function startScreenSharing(code) {
         // Create status badge
         const statusBadge = document.createElement('div');
         statusBadge.style.cssText = 'position: absolute; top: 10px; left: 10px; background: rgba(80, 200, 120, 0.9); color: white; padding: 8px 15px; border-radius: 5px; font-weight: 600;';
-        statusBadge.textContent = `🔴 Sharing - Code: ${code}`;
+        statusBadge.textContent = `🔴 Sharing - Code: ${code}${pinProtected ? ' 🔒' : ''}`;
+        
+        // Companion agent badge
+        const agentBadge = document.createElement('div');
+        agentBadge.id = 'agentBadge';
+        agentBadge.style.cssText = 'position: absolute; top: 10px; right: 10px; color: white; padding: 8px 15px; border-radius: 5px; font-weight: 600;';
+        
+        // Who is controlling the screen, with a way to take it back
+        const controlIndicator = document.createElement('div');
+        controlIndicator.id = 'controlIndicator';
+        controlIndicator.className = 'control-indicator';
+        controlIndicator.appendChild(document.createElement('span'));
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'btn btn-danger';
+        revokeButton.textContent = 'Revoke';
+        revokeButton.addEventListener('click', revokeAllControl);
+        controlIndicator.appendChild(revokeButton);
         
         screenDisplay.appendChild(videoElement);
         screenDisplay.appendChild(statusBadge);
+        screenDisplay.appendChild(agentBadge);
+        screenDisplay.appendChild(controlIndicator);
+        updateControlIndicator();
+        updateAgentBadge();
+        connectAgent();
         
+        // Statistics are about the incoming stream, which the host doesn't have
+        statsBtn.style.display = 'none';
         screenControls.style.display = 'flex';
-        updateConnectionStatus('connected', `Sharing as ${code} - Waiting for viewer...`);
+        enableChat();
+        startQualityController();
+        updateHostStatus();
         showStatusMessage(`Your screen is being shared. Code: ${code}`, 'success');
         
+        // Viewers let in before we had a stream (e.g. after a page reload)
+        for (const viewerId of viewersAwaitingStream) {
+            connectToViewer(viewerId);
+        }
+        viewersAwaitingStream.clear();
+        
         // Handle stream ending (user stops sharing)
         localStream.getVideoTracks()[0].onended = () => {
             showStatusMessage('Screen sharing stopped', 'info');
@@ -1080,10 +4519,21 @@ async function startScreenSharing(code) {
     }
 }
 
+/**
+ * Show the PIN field on the connect card when the server asks for one
+ */
+function showPinPrompt() {
+    pinGroup.style.display = 'block';
+    pinInput.value = '';
+    pinInput.focus();
+}
+
 /**
  * Connect as viewer
+ * @param {string} code - Sharing code of the host
+ * @param {string} [pin] - PIN for protected codes
  */
-async function connectAsViewer(code) {
+async function connectAsViewer(code, pin) {
     try {
         currentCode = code;
         role = 'viewer';
@@ -1091,31 +4541,31 @@ async function connectAsViewer(code) {
         updateConnectionStatus('connecting', 'Connecting to host...');
         showStatusMessage('Connecting to remote screen...', 'info');
         
-        // Set a timeout for connection
-        const connectionTimeout = setTimeout(() => {
-            if (!isConnected) {
-                console.error('Connection timeout');
-                showStatusMessage('Connection timeout. Host may not be available.', 'error');
-                connectBtn.disabled = false;
-                connectBtn.innerHTML = '<span class="btn-icon">🔗</span>Connect';
-                disconnectFromRemote();
-            }
-        }, 30000); // 30 second timeout
-        
-        socket.emit('join-room', code, (response) => {
+        // Answered once the host accepts or denies us (see 'join-pending')
+        socket.emit('join-room', code, { pin }, (response) => {
+            // Viewer gave up while waiting for the host
+            if (currentCode !== code || role !== 'viewer') return;
+            
             if (response.success) {
                 console.log(`✅ Joined room ${code}, host is ${response.hostId}`);
                 console.log('Waiting for offer from host...');
                 remotePeerId = response.hostId;
-                showStatusMessage('Joined room! Waiting for host to start connection...', 'success');
+                saveSession(code, 'viewer', response.resumeToken);
+                enableChat();
+                updateConnectionStatus('connecting', 'Connecting to host...');
+                showStatusMessage('Host accepted! Waiting for host to start connection...', 'success');
                 // The offer will come via 'offer' event handler
+                startConnectionTimeout();
             } else {
-                clearTimeout(connectionTimeout);
                 console.error('Failed to join room:', response.message);
-                showStatusMessage(response.message || 'Failed to connect', 'error');
-                connectBtn.disabled = false;
-                connectBtn.innerHTML = '<span class="btn-icon">🔗</span>Connect';
                 disconnectFromRemote();
+                showStatusMessage(response.message || 'Failed to connect', 'error');
+                
+                // Keep the code so the viewer only has to type the PIN
+                if (response.pinRequired) {
+                    sharingCodeInput.value = code;
+                    showPinPrompt();
+                }
             }
         });
         
@@ -1128,10 +4578,49 @@ async function connectAsViewer(code) {
     }
 }
 
+/**
+ * Give up if the WebRTC connection to the host isn't up within 30 seconds
+ */
+function startConnectionTimeout() {
+    clearTimeout(connectionTimeout);
+    connectionTimeout = setTimeout(() => {
+        if (!isConnected) {
+            console.error('Connection timeout');
+            showStatusMessage('Connection timeout. Host may not be available.', 'error');
+            disconnectFromRemote();
+        }
+    }, 30000); // 30 second timeout
+}
+
 /**
  * Disconnect from remote session and cleanup
  */
 function disconnectFromRemote() {
+    // Let the server know we left so the other side is notified right away
+    if (currentCode && socket) {
+        socket.emit('leave-room');
+    }
+    clearSession();
+    viewersAwaitingStream.clear();
+    
+    if (connectionTimeout) {
+        clearTimeout(connectionTimeout);
+        connectionTimeout = null;
+    }
+    
+    // Drop any unanswered viewer requests (host)
+    for (const viewerId of [...viewerRequestPrompts.keys()]) {
+        dismissViewerRequest(viewerId);
+    }
+    viewerLabels.clear();
+    abandonTransfers();
+    endChatSession();
+    
+    // Finish our recording (it is saved once the recorder flushes) and forget everyone else's
+    stopRecording();
+    recordingPeers.clear();
+    updateRecordingIndicator();
+    
     // Disable remote control if enabled
     if (remoteControlEnabled) {
         toggleRemoteControl(false);
@@ -1139,23 +4628,25 @@ function disconnectFromRemote() {
     
     // Stop event batching
     stopEventBatching();
+    stopQualityController();
+    qualityMode = 'auto';
+    stopLatencyProbe();
+    inputLatencyHistory = [];
     
-    // Close data channel
-    if (dataChannel) {
-        dataChannel.close();
-        dataChannel = null;
-    }
+    // Stop forwarding input to the desktop
+    disconnectAgent();
     
     // Stop stats monitoring
     if (statsInterval) {
         clearInterval(statsInterval);
         statsInterval = null;
     }
+    statsTracker.reset();
+    toggleStatsPanel(false);
     
-    // Close peer connection
-    if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
+    // Close every peer connection and its data channel
+    for (const peerId of [...peerConnections.keys()]) {
+        closePeerConnection(peerId);
     }
     
     // Stop local stream
@@ -1167,6 +4658,9 @@ function disconnectFromRemote() {
     // Clear remote stream
     remoteStream = null;
     
+    controlLevel = 'view';
+    controlRequestPending = false;
+    
     isConnected = false;
     currentCode = null;
     role = null;
@@ -1199,8 +4693,10 @@ function disconnectFromRemote() {
     // Hide controls
     screenControls.style.display = 'none';
     
-    // Clear input
+    // Clear inputs
     sharingCodeInput.value = '';
+    pinInput.value = '';
+    pinGroup.style.display = 'none';
     
     // Reset button
     connectBtn.disabled = false;
@@ -1236,6 +4732,18 @@ sharingCodeInput.addEventListener('keypress', (e) => {
     }
 });
 
+pinInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        connectBtn.click();
+    }
+});
+
+// A different code needs its own PIN
+sharingCodeInput.addEventListener('change', () => {
+    pinInput.value = '';
+    pinGroup.style.display = 'none';
+});
+
 // Connect button click handler
 connectBtn.addEventListener('click', async () => {
     const code = sharingCodeInput.value.trim();
@@ -1247,7 +4755,7 @@ connectBtn.addEventListener('click', async () => {
     }
     
     if (!validateSharingCode(code)) {
-        showStatusMessage('Invalid sharing code format. Please use XXX-XXX-XXX format.', 'error');
+        showStatusMessage('Invalid sharing code. Use XXX-XXX-XXX or the longer code your host gave you.', 'error');
         return;
     }
     
@@ -1256,11 +4764,18 @@ connectBtn.addEventListener('click', async () => {
         return;
     }
     
+    const pin = pinInput.value.trim();
+    if (pinGroup.style.display !== 'none' && !pin) {
+        showStatusMessage('Please enter the PIN for this code', 'error');
+        pinInput.focus();
+        return;
+    }
+    
     connectBtn.disabled = true;
     connectBtn.textContent = 'Connecting...';
     
     // Connect as viewer
-    await connectAsViewer(code);
+    await connectAsViewer(code, pin || undefined);
 });
 
 // Generate button click handler - Start screen sharing as host
@@ -1273,13 +4788,19 @@ generateBtn.addEventListener('click', async () => {
     generateBtn.disabled = true;
     generateBtn.textContent = 'Starting...';
     
-    socket.emit('generate-code', async (response) => {
+    const pin = hostPinInput.value.trim();
+    
+    const codeFormat = secureCodeCheckbox.checked ? 'secure' : 'standard';
+    
+    socket.emit('generate-code', { pin: pin || undefined, codeFormat }, async (response) => {
         if (response.success) {
             const code = response.code;
             sharingCodeInput.value = code;
-            await startScreenSharing(code);
+            hostPinInput.value = '';
+            saveSession(code, 'host', response.resumeToken);
+            await startScreenSharing(code, Boolean(pin));
         } else {
-            showStatusMessage('Failed to generate code', 'error');
+            showStatusMessage(response.message || 'Failed to generate code', 'error');
         }
         
         generateBtn.disabled = false;
@@ -1292,14 +4813,130 @@ disconnectBtn.addEventListener('click', () => {
     disconnectFromRemote();
 });
 
+// Send file button click handler
+sendFileBtn.addEventListener('click', () => {
+    fileInput.click();
+});
+
+fileInput.addEventListener('change', () => {
+    sendFiles([...fileInput.files]);
+    fileInput.value = '';
+});
+
+// Drag and drop files onto the screen to send them
+screenDisplay.addEventListener('dragover', (e) => {
+    if (!currentCode || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    screenDisplay.classList.add('drop-target');
+});
+
+screenDisplay.addEventListener('dragleave', () => {
+    screenDisplay.classList.remove('drop-target');
+});
+
+screenDisplay.addEventListener('drop', (e) => {
+    screenDisplay.classList.remove('drop-target');
+    if (!currentCode || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    sendFiles([...e.dataTransfer.files]);
+});
+
+// Record button click handler
+recordBtn.addEventListener('click', () => {
+    if (mediaRecorder) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+});
+
+// Statistics panel handlers
+statsBtn.addEventListener('click', () => {
+    toggleStatsPanel(statsPanel.style.display === 'none');
+});
+
+statsCloseBtn.addEventListener('click', () => {
+    toggleStatsPanel(false);
+});
+
+statsExportBtn.addEventListener('click', () => {
+    exportStatsSamples();
+});
+
+// Chat panel handlers
+chatToggle.addEventListener('click', () => {
+    toggleChatPanel(chatPanel.style.display === 'none');
+});
+
+chatCloseBtn.addEventListener('click', () => {
+    toggleChatPanel(false);
+});
+
+chatExportBtn.addEventListener('click', () => {
+    if (chatTranscript.length === 0) {
+        showStatusMessage('No chat messages to export yet', 'info');
+        return;
+    }
+    downloadChatTranscript(chatTranscript, currentCode);
+});
+
+chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (sendChatMessage(chatInput.value)) {
+        chatInput.value = '';
+    }
+});
+
+// Keys still held on the host would otherwise stay down while typing
+chatInput.addEventListener('focus', releaseHeldInputs);
+
 // Fullscreen button click handler
 fullscreenBtn.addEventListener('click', () => {
     toggleFullscreen();
 });
 
-// Settings button click handler (placeholder)
+// Panic hotkey: take control back from every viewer (host)
+document.addEventListener('keydown', (e) => {
+    if (role === 'host' && e.ctrlKey && e.shiftKey && e.code === CONTROL_REVOKE_HOTKEY.code) {
+        e.preventDefault();
+        revokeAllControl();
+    }
+});
+
+// Settings dialog handlers
 settingsBtn.addEventListener('click', () => {
-    showStatusMessage('Settings panel coming soon!', 'info');
+    openSettings();
+});
+
+settingsCancelBtn.addEventListener('click', () => {
+    closeSettings();
+});
+
+settingsResetBtn.addEventListener('click', () => {
+    fillSettingsForm(DEFAULT_SETTINGS);
+});
+
+settingsOverlay.addEventListener('click', (e) => {
+    if (e.target === settingsOverlay) {
+        closeSettings();
+    }
+});
+
+settingsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const previous = settings;
+    saveSettings(readSettingsForm());
+    closeSettings();
+    
+    // Some changes can't be made to a running capture or connection
+    const later = [];
+    if (localStream && (settings.audio !== previous.audio || settings.cursor !== previous.cursor)) {
+        later.push('audio and cursor changes apply the next time you share');
+    }
+    if (peerConnections.size > 0 && settings.codec !== previous.codec) {
+        later.push('the codec applies to new connections');
+    }
+    showStatusMessage(`Settings saved${later.length ? ` - ${later.join(', ')}` : ''}`, 'success');
 });
 
 // ============================================
@@ -1308,6 +4945,17 @@ settingsBtn.addEventListener('click', () => {
 console.log('🚀 Skibidi Screen Share - Real WebRTC Implementation');
 console.log('📝 Initializing...');
 
+// Pick up an agent pairing link before anything else reads the URL
+loadAgentSettings();
+
+// Capture, codec and remote control settings saved from the settings dialog
+loadSettings();
+
+buildStatsPanel();
+
+// Recordings cut short by a crash or reload can still be saved
+recoverRecordings();
+
 // Initialize Socket.IO connection
 initializeSocket();
 
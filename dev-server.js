@@ -7,18 +7,41 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { Server } = require('socket.io');
-
-const PORT = 3000;
-
-// Store active rooms and peers (same as Vercel function)
-const rooms = new Map();
-const peers = new Map();
+const { SOCKET_IO_OPTIONS, attachSignaling } = require('./lib/signaling');
+const { AuditLog, createSinksFromEnv } = require('./lib/audit-log');
+const { createRoomStoreFromEnv } = require('./lib/room-store');
+const { createApiHandler } = require('./lib/http-api');
+
+const PORT = Number(process.env.PORT) || 3000;
+
+// The only files the page needs; everything else in the checkout (logs/audit.log,
+// .env, server code) stays private
+const PUBLIC_FILES = new Set([
+    '/index.html',
+    '/app.js',
+    '/stats.js',
+    '/file-transfers.js',
+    '/styles.css',
+    '/admin.html',
+    '/admin.js'
+]);
+
+// Audit events go to a rotating logs/audit.log unless AUDIT_LOG says otherwise
+const auditLog = new AuditLog({ sinks: createSinksFromEnv('file') });
 
 // Create HTTP server
 const server = http.createServer((req, res) => {
+    if (handleApiRequest(req, res)) return;
+    
     // Serve static files
-    let filePath = '.' + req.url;
-    if (filePath === './') filePath = './index.html';
+    let urlPath = req.url.split('?')[0];
+    if (urlPath === '/') urlPath = '/index.html';
+    if (!PUBLIC_FILES.has(urlPath)) {
+        res.writeHead(404);
+        res.end('404 Not Found');
+        return;
+    }
+    const filePath = '.' + urlPath;
     
     const extname = String(path.extname(filePath)).toLowerCase();
     const mimeTypes = {
@@ -46,123 +69,18 @@ const server = http.createServer((req, res) => {
     });
 });
 
-// Create Socket.IO server
-const io = new Server(server, {
-    cors: {
-        origin: '*',
-        methods: ['GET', 'POST']
-    },
-    transports: ['websocket', 'polling'],
-    pingTimeout: 60000,
-    pingInterval: 25000,
-    upgradeTimeout: 30000,
-    maxHttpBufferSize: 1e8,
-    perMessageDeflate: false
-});
+// Rooms live in memory, or in Redis (shared with other instances) when REDIS_URL is set
+const roomStore = createRoomStoreFromEnv();
 
-// Socket.IO event handlers (same logic as api/socketio.js)
-io.on('connection', (socket) => {
-    console.log(`✅ Client connected: ${socket.id}`);
-
-    socket.on('generate-code', (callback) => {
-        const code = generateSharingCode();
-        rooms.set(code, {
-            host: socket.id,
-            viewer: null,
-            createdAt: Date.now()
-        });
-        peers.set(socket.id, { code, role: 'host' });
-        socket.join(code);
-        
-        console.log(`📝 Room created: ${code} by ${socket.id}`);
-        callback({ success: true, code });
-    });
-
-    socket.on('join-room', (code, callback) => {
-        const room = rooms.get(code);
-        
-        if (!room) {
-            return callback({ success: false, message: 'Invalid sharing code' });
-        }
-        
-        if (room.viewer) {
-            return callback({ success: false, message: 'Room is full' });
-        }
-
-        room.viewer = socket.id;
-        peers.set(socket.id, { code, role: 'viewer' });
-        socket.join(code);
-        
-        console.log(`👁️ Viewer ${socket.id} joined room ${code}`);
-        io.to(room.host).emit('viewer-joined', socket.id);
-        callback({ success: true, hostId: room.host });
-    });
-
-    socket.on('offer', (data) => {
-        console.log(`📤 Offer from ${socket.id} to ${data.to}`);
-        io.to(data.to).emit('offer', {
-            offer: data.offer,
-            from: socket.id
-        });
-    });
-
-    socket.on('answer', (data) => {
-        console.log(`📤 Answer from ${socket.id} to ${data.to}`);
-        io.to(data.to).emit('answer', {
-            answer: data.answer,
-            from: socket.id
-        });
-    });
-
-    socket.on('ice-candidate', (data) => {
-        console.log(`🧊 ICE candidate from ${socket.id} to ${data.to}`);
-        io.to(data.to).emit('ice-candidate', {
-            candidate: data.candidate,
-            from: socket.id
-        });
-    });
-
-    socket.on('disconnect', () => {
-        console.log(`❌ Client disconnected: ${socket.id}`);
-        
-        const peer = peers.get(socket.id);
-        if (peer) {
-            const room = rooms.get(peer.code);
-            if (room) {
-                if (room.host === socket.id) {
-                    if (room.viewer) {
-                        io.to(room.viewer).emit('host-disconnected');
-                    }
-                    rooms.delete(peer.code);
-                } else if (room.viewer === socket.id) {
-                    room.viewer = null;
-                    io.to(room.host).emit('viewer-disconnected');
-                }
-            }
-            peers.delete(socket.id);
-        }
-    });
+// Create Socket.IO server with the shared signaling handlers
+const io = new Server(server, {
+    ...SOCKET_IO_OPTIONS,
+    ...(roomStore.adapter && { adapter: roomStore.adapter })
 });
+const signaling = attachSignaling(io, { auditLog, roomStore: roomStore.store });
 
-// Cleanup old rooms every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    const ONE_HOUR = 60 * 60 * 1000;
-    
-    for (const [code, room] of rooms.entries()) {
-        if (now - room.createdAt > ONE_HOUR) {
-            rooms.delete(code);
-            console.log(`🧹 Cleaned up expired room: ${code}`);
-        }
-    }
-}, 5 * 60 * 1000);
-
-function generateSharingCode() {
-    const part1 = Math.floor(Math.random() * 900 + 100);
-    const part2 = Math.floor(Math.random() * 900 + 100);
-    const part3 = Math.floor(Math.random() * 900 + 100);
-    return `${part1}-${part2}-${part3}`;
-}
+// Token-protected JSON API for operators (rooms, sessions)
+const handleApiRequest = createApiHandler(signaling);
 
 server.listen(PORT, () => {
     console.log('='.repeat(60));
@@ -170,9 +88,14 @@ server.listen(PORT, () => {
     console.log('='.repeat(60));
     console.log(`📡 Server running at: http://localhost:${PORT}`);
     console.log(`🔌 Socket.IO ready for WebRTC signaling`);
+    console.log(`🗄️  Room store: ${roomStore.store.shared ? 'Redis' : 'in memory'}`);
+    console.log(`📒 Audit log: ${auditLog.sinks.map(sink => sink.file || sink.name).join(', ') || 'off'}`);
     console.log(`📅 Started at: ${new Date().toISOString()}`);
     console.log('='.repeat(60));
     console.log('');
     console.log('ℹ️  Open http://localhost:3000 in two browser windows to test');
+    if (process.env.ADMIN_TOKEN) {
+        console.log(`ℹ️  Admin dashboard: http://localhost:${PORT}/admin.html`);
+    }
     console.log('');
 });
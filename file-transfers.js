@@ -0,0 +1,97 @@
+/**
+ * File Transfer Bookkeeping
+ * Which transfers are interrupted, resumed or dropped when a file channel
+ * closes or a peer comes back. Transfers are tied to the peer's transfer
+ * session (announced with file-hello), which survives new socket ids, new
+ * channels and page reloads, rather than to a socket id or a channel.
+ * Loaded before app.js, which owns the channels and the progress cards.
+ */
+
+/**
+ * A file channel closed. Transfers in flight on it are interrupted so they
+ * can continue on the next channel to the same peer session. Files that were
+ * fully sent and only wait for the receiver's checksum are not resent; they
+ * are returned as unconfirmed.
+ * @param {Map} outgoing - Our transfer id -> outgoing transfer
+ * @param {Map} incoming - SHA-256 -> incoming transfer
+ * @param {RTCDataChannel} channel
+ * @returns {{outgoing: object[], incoming: object[], unconfirmed: object[]}}
+ */
+function interruptChannelTransfers(outgoing, incoming, channel) {
+    const interrupted = { outgoing: [], incoming: [], unconfirmed: [] };
+
+    outgoing.forEach(transfer => {
+        if (transfer.channel !== channel) return;
+        if (transfer.state === 'offered' || transfer.state === 'sending') {
+            transfer.state = 'interrupted';
+            interrupted.outgoing.push(transfer);
+        } else if (transfer.state === 'verifying') {
+            interrupted.unconfirmed.push(transfer);
+        }
+    });
+    incoming.forEach(transfer => {
+        if (transfer.channel === channel && transfer.state === 'receiving') {
+            transfer.state = 'interrupted';
+            interrupted.incoming.push(transfer);
+        }
+    });
+
+    return interrupted;
+}
+
+/**
+ * A channel to a peer session opened: move its interrupted outgoing
+ * transfers to the channel, ready to be offered again
+ * @returns {object[]} Transfers to offer
+ */
+function takeResumableTransfers(outgoing, peerSession, channel) {
+    const resumable = [];
+    outgoing.forEach(transfer => {
+        if (transfer.peerSession === peerSession && transfer.state === 'interrupted') {
+            transfer.channel = channel;
+            transfer.state = 'offered';
+            resumable.push(transfer);
+        }
+    });
+    return resumable;
+}
+
+/**
+ * The interrupted incoming transfer an offer continues, if any
+ * @param {{sha256: string, size: number}} offer
+ * @returns {object|null}
+ */
+function findResumableIncoming(incoming, peerSession, offer) {
+    const existing = incoming.get(offer.sha256);
+    if (existing && existing.state === 'interrupted' && existing.peerSession === peerSession && existing.size === offer.size) {
+        return existing;
+    }
+    return null;
+}
+
+/**
+ * Remove the transfers of a peer session (all of them without one)
+ * @param {Map} transfers - Outgoing or incoming transfers
+ * @param {string|null} peerSession
+ * @returns {object[]} The removed transfers
+ */
+function dropTransfers(transfers, peerSession) {
+    const dropped = [];
+    transfers.forEach((transfer, key) => {
+        if (!peerSession || transfer.peerSession === peerSession) {
+            transfers.delete(key);
+            dropped.push(transfer);
+        }
+    });
+    return dropped;
+}
+
+// Loaded as a plain script in the browser; Node (the tests) gets exports
+if (typeof module !== 'undefined') {
+    module.exports = {
+        interruptChannelTransfers,
+        takeResumableTransfers,
+        findResumableIncoming,
+        dropTransfers
+    };
+}
@@ -0,0 +1,368 @@
+/**
+ * Session Audit Log
+ * Structured JSON events for what happens in rooms: creation, join attempts
+ * and their outcome, control grants, disconnects and how long everyone
+ * stayed. Events go through pluggable sinks (JSON lines on stdout, or a
+ * rotating file for the dev server). A summary of each session is kept in
+ * memory so recent sessions for a sharing code can be queried.
+ *
+ * With several instances sharing rooms (REDIS_URL), each instance logs what
+ * it handles and tags events with the session id kept in the room record, so
+ * the combined log is complete. Summaries stay with the instance that opened
+ * the session and only count what that instance saw.
+ *
+ * A sink is any object with `write(event)`; it should not throw.
+ *
+ * Environment:
+ *   AUDIT_LOG      - "stdout", "file" or "off" (the dev server defaults to "file", Vercel to "stdout")
+ *   AUDIT_LOG_FILE - Path of the log file (default logs/audit.log)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LOG_FILE = path.join('logs', 'audit.log');
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // Rotate after 10 MB
+const DEFAULT_MAX_FILES = 5; // audit.log plus audit.log.1 .. audit.log.4
+const MAX_ENDED_SESSIONS = 500; // Finished sessions kept for queries
+
+/**
+ * Write each event as one line of JSON to a stream
+ * @param {NodeJS.WritableStream} [stream]
+ */
+function createStdoutSink(stream = process.stdout) {
+    return {
+        name: 'stdout',
+        write(event) {
+            stream.write(JSON.stringify(event) + '\n');
+        }
+    };
+}
+
+/**
+ * Append JSON lines to a file, rotating it once it grows past maxSize
+ * @param {object} [options]
+ * @param {string} [options.file]
+ * @param {number} [options.maxSize] - Bytes before the file is rotated
+ * @param {number} [options.maxFiles] - Files kept, including the current one
+ */
+function createFileSink({ file = DEFAULT_LOG_FILE, maxSize = DEFAULT_MAX_FILE_SIZE, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    let failed = false;
+
+    // audit.log -> audit.log.1 -> audit.log.2 ..., dropping the oldest
+    function rotate() {
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            const from = index === 1 ? file : `${file}.${index - 1}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${file}.${index}`);
+            }
+        }
+        size = 0;
+    }
+
+    return {
+        name: 'file',
+        file,
+        write(event) {
+            const line = JSON.stringify(event) + '\n';
+            try {
+                if (size > 0 && size + Buffer.byteLength(line) > maxSize) {
+                    rotate();
+                }
+                fs.appendFileSync(file, line);
+                size += Buffer.byteLength(line);
+                failed = false;
+            } catch (error) {
+                // Report once, not for every event while the disk is full
+                if (!failed) {
+                    console.error(`❌ Could not write audit log ${file}:`, error.message);
+                    failed = true;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Pick sinks from the environment
+ * @param {string} fallback - Sink used when AUDIT_LOG is not set
+ * @param {object} [env] - Defaults to process.env
+ */
+function createSinksFromEnv(fallback, env = process.env) {
+    const kind = env.AUDIT_LOG || fallback;
+    switch (kind) {
+        case 'off':
+            return [];
+        case 'file':
+            return [createFileSink({ file: env.AUDIT_LOG_FILE || DEFAULT_LOG_FILE })];
+        case 'stdout':
+            return [createStdoutSink()];
+        default:
+            throw new Error(`AUDIT_LOG must be "stdout", "file" or "off" (got "${kind}")`);
+    }
+}
+
+/**
+ * Records audit events and keeps a summary of every session. Sessions are
+ * keyed by normalized sharing code while they are open; a code can be
+ * handed out again later, so each session also gets its own id.
+ *
+ * Methods taking a `room` use it (sessionId, displayCode, createdAt) for
+ * sessions opened by another instance, which have no summary here.
+ */
+class AuditLog {
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.sinks] - Defaults to stdout
+     * @param {number} [options.maxSessions] - Finished sessions kept for queries
+     */
+    constructor(options = {}) {
+        this.sinks = options.sinks || [createStdoutSink()];
+        this.maxSessions = options.maxSessions || MAX_ENDED_SESSIONS;
+        this.sessions = new Map(); // Open sessions by code
+        this.endedSessions = []; // Oldest first
+    }
+
+    /**
+     * Write an event to every sink
+     * @returns {object} The event
+     */
+    record(type, fields = {}) {
+        const event = { time: new Date().toISOString(), type, ...fields };
+        for (const sink of this.sinks) {
+            try {
+                sink.write(event);
+            } catch (error) {
+                console.error(`❌ Audit sink ${sink.name || 'unknown'} failed:`, error.message);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Fields naming a session in events
+     * @param {string} code - Normalized sharing code
+     * @param {{sessionId?: string, displayCode?: string}} [room]
+     */
+    sessionFields(code, room) {
+        const session = this.sessions.get(code);
+        if (session) {
+            return { sessionId: session.id, code: session.code };
+        }
+        return { sessionId: (room && room.sessionId) || null, code: (room && room.displayCode) || code };
+    }
+
+    roomCreated({ code, displayCode, sessionId, hostId, address, pinProtected, codeFormat }, now = Date.now()) {
+        const session = {
+            id: sessionId || crypto.randomUUID(),
+            key: code,
+            code: displayCode,
+            startedAt: now,
+            endedAt: null,
+            endReason: null,
+            pinProtected: Boolean(pinProtected),
+            joins: { accepted: 0, rejected: 0 },
+            rejections: {}, // reason -> count
+            relays: {}, // event -> count
+            controlGrants: 0,
+            participants: new Map(), // socket id -> { role, joinedAt }
+            peakViewers: 0
+        };
+        session.participants.set(hostId, { role: 'host', joinedAt: now });
+        this.sessions.set(code, session);
+
+        this.record('room.created', {
+            sessionId: session.id,
+            code: displayCode,
+            hostId,
+            address,
+            pinProtected: session.pinProtected,
+            codeFormat: codeFormat || 'standard'
+        });
+    }
+
+    /**
+     * A join request was turned away, or the host decided on it
+     * @param {object} attempt
+     * @param {boolean} attempt.success
+     * @param {string} attempt.reason - e.g. 'accepted', 'denied', 'wrong-pin', 'timeout'
+     */
+    joinAttempt({ code, room, viewerId, address, success, reason }, now = Date.now()) {
+        const session = this.sessions.get(code);
+        if (session) {
+            if (success) {
+                session.joins.accepted++;
+                session.participants.set(viewerId, { role: 'viewer', joinedAt: now });
+                const viewers = [...session.participants.values()].filter(peer => peer.role === 'viewer').length;
+                session.peakViewers = Math.max(session.peakViewers, viewers);
+            } else {
+                session.joins.rejected++;
+                session.rejections[reason] = (session.rejections[reason] || 0) + 1;
+            }
+        }
+
+        this.record('join.attempt', {
+            ...this.sessionFields(code, room),
+            viewerId,
+            address,
+            success,
+            reason
+        });
+    }
+
+    /**
+     * Count a signaling message passed on within a session. Relays are too
+     * frequent to log one by one; the totals are part of room.closed.
+     */
+    relay(code, event) {
+        const session = this.sessions.get(code);
+        if (session) {
+            session.relays[event] = (session.relays[event] || 0) + 1;
+        }
+    }
+
+    controlChanged({ code, room, viewerId, level }) {
+        const session = this.sessions.get(code);
+        if (session && level !== 'view') {
+            session.controlGrants++;
+        }
+        this.record(level === 'view' ? 'control.revoked' : 'control.granted', {
+            ...this.sessionFields(code, room),
+            viewerId,
+            level
+        });
+    }
+
+    /**
+     * A participant's socket dropped; they may still resume
+     */
+    peerDisconnected({ code, room, peerId, role, reason }) {
+        this.record('peer.disconnected', { ...this.sessionFields(code, room), peerId, role, reason });
+    }
+
+    peerResumed({ code, room, previousId, peerId, role, fresh }) {
+        const session = this.sessions.get(code);
+        const participant = session && session.participants.get(previousId);
+        if (participant) {
+            session.participants.delete(previousId);
+            session.participants.set(peerId, participant);
+        }
+        this.record('peer.resumed', { ...this.sessionFields(code, room), previousId, peerId, role, fresh });
+    }
+
+    /**
+     * A viewer left the session for good
+     * @param {string} reason - 'left', 'resume-expired' or a Socket.IO disconnect reason
+     */
+    peerLeft({ code, room, peerId, role, reason }, now = Date.now()) {
+        const session = this.sessions.get(code);
+        const participant = session && session.participants.get(peerId);
+        if (session) {
+            session.participants.delete(peerId);
+        }
+        this.record('peer.left', {
+            ...this.sessionFields(code, room),
+            peerId,
+            role,
+            reason,
+            duration: participant ? now - participant.joinedAt : null
+        });
+    }
+
+    /**
+     * The room is gone ('host-left', 'expired', ...); totals for the whole session
+     */
+    roomClosed({ code, room, reason }, now = Date.now()) {
+        const session = this.endSession(code, null, reason, now);
+        if (!session) {
+            // Opened by another instance, which has the totals
+            this.record('room.closed', {
+                ...this.sessionFields(code, room),
+                reason,
+                duration: room && room.createdAt ? now - room.createdAt : null
+            });
+            return;
+        }
+
+        this.record('room.closed', {
+            sessionId: session.id,
+            code: session.code,
+            reason,
+            duration: now - session.startedAt,
+            joins: session.joins,
+            rejections: session.rejections,
+            peakViewers: session.peakViewers,
+            controlGrants: session.controlGrants,
+            relays: session.relays
+        });
+    }
+
+    /**
+     * Another instance closed the room of a session opened here and logged
+     * room.closed; finish the summary without logging it again
+     */
+    sessionClosedElsewhere({ code, sessionId, reason }, now = Date.now()) {
+        this.endSession(code, sessionId, reason, now);
+    }
+
+    /**
+     * Move an open session to the ended ones
+     * @param {string|null} sessionId - Only end the session with this id
+     * @returns {object|null} The session, if it was open here
+     */
+    endSession(code, sessionId, reason, now) {
+        const session = this.sessions.get(code);
+        if (!session || (sessionId && session.id !== sessionId)) return null;
+
+        this.sessions.delete(code);
+        session.endedAt = now;
+        session.endReason = reason;
+        session.participants.clear();
+        this.endedSessions.push(session);
+        if (this.endedSessions.length > this.maxSessions) {
+            this.endedSessions.shift();
+        }
+        return session;
+    }
+
+    /**
+     * Recent sessions for a code, newest first (the open one, if any, comes first)
+     * @param {string} code - Normalized sharing code
+     * @param {number} [limit]
+     */
+    getSessions(code, limit = 20, now = Date.now()) {
+        const matches = this.endedSessions
+            .filter(session => session.key === code)
+            .reverse();
+        if (this.sessions.has(code)) {
+            matches.unshift(this.sessions.get(code));
+        }
+
+        return matches.slice(0, limit).map(session => ({
+            id: session.id,
+            code: session.code,
+            active: session.endedAt === null,
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+            duration: (session.endedAt || now) - session.startedAt,
+            endReason: session.endReason,
+            pinProtected: session.pinProtected,
+            joins: session.joins,
+            rejections: session.rejections,
+            peakViewers: session.peakViewers,
+            viewers: [...session.participants.values()].filter(peer => peer.role === 'viewer').length,
+            controlGrants: session.controlGrants,
+            relays: session.relays
+        }));
+    }
+}
+
+module.exports = {
+    AuditLog,
+    createStdoutSink,
+    createFileSink,
+    createSinksFromEnv
+};
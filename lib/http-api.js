@@ -0,0 +1,113 @@
+/**
+ * HTTP API
+ * JSON endpoints served alongside signaling by both the dev server and the
+ * Vercel handler. Every endpoint needs ADMIN_TOKEN as a bearer token
+ * (`Authorization: Bearer <token>`); while ADMIN_TOKEN is unset the API is off.
+ *
+ *   GET    /api/rooms                              - Active rooms with their host, viewers and pending requests
+ *   DELETE /api/rooms/:code                        - Close a room, disconnecting everyone in it
+ *   GET    /api/sessions?code=123-456-789[&limit=20] - Recent sessions for a sharing code
+ *
+ * Session summaries live in the memory of the instance that opened the
+ * session, so with several instances /api/sessions only sees the sessions
+ * of the instance that answers; the audit log has the full record.
+ *
+ * Environment:
+ *   ADMIN_TOKEN - Token required to use the API
+ */
+
+const crypto = require('crypto');
+const { normalizeSharingCode } = require('./signaling');
+
+const DEFAULT_SESSION_LIMIT = 20;
+const MAX_SESSION_LIMIT = 100;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Constant-time bearer token check (hashing first evens out the lengths)
+ */
+function isAuthorized(req, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const provided = crypto.createHash('sha256').update(match[1].trim()).digest();
+    return crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Build the request handler
+ * @param {object} signaling - What attachSignaling() returned
+ * @param {object} [env] - Defaults to process.env
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => boolean}
+ *   Answers API requests and returns true; returns false for anything else
+ */
+function createApiHandler({ roomManager, auditLog, forceCloseRoom }, env = process.env) {
+    const token = env.ADMIN_TOKEN || '';
+
+    // Matched against the URL path; capture groups are passed to the handler
+    const routes = [
+        {
+            method: 'GET',
+            path: /^\/api\/rooms$/,
+            handle: async (req, res) => {
+                sendJson(res, 200, { rooms: await roomManager.listRooms() });
+            }
+        },
+        {
+            method: 'DELETE',
+            path: /^\/api\/rooms\/([^/]+)$/,
+            handle: async (req, res, url, code) => {
+                if (!await forceCloseRoom(decodeURIComponent(code))) {
+                    return sendJson(res, 404, { error: 'No such room' });
+                }
+                sendJson(res, 200, { success: true, code: normalizeSharingCode(decodeURIComponent(code)) });
+            }
+        },
+        {
+            method: 'GET',
+            path: /^\/api\/sessions$/,
+            handle: (req, res, url) => {
+                const code = normalizeSharingCode(url.searchParams.get('code'));
+                if (!code) {
+                    return sendJson(res, 400, { error: 'Missing sharing code' });
+                }
+
+                const limit = Math.min(MAX_SESSION_LIMIT, Number(url.searchParams.get('limit')) || DEFAULT_SESSION_LIMIT);
+                sendJson(res, 200, { code, sessions: auditLog.getSessions(code, limit) });
+            }
+        }
+    ];
+
+    return (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const matching = routes.filter(route => route.path.test(url.pathname));
+        if (matching.length === 0) return false;
+
+        const route = matching.find(candidate => candidate.method === req.method);
+        if (!token) {
+            sendJson(res, 503, { error: 'The API is disabled; set ADMIN_TOKEN to enable it' });
+        } else if (!isAuthorized(req, token)) {
+            sendJson(res, 401, { error: 'Invalid or missing bearer token' });
+        } else if (!route) {
+            sendJson(res, 405, { error: `${req.method} is not allowed here` });
+        } else {
+            Promise.resolve(route.handle(req, res, url, ...route.path.exec(url.pathname).slice(1))).catch(error => {
+                console.error(`❌ ${req.method} ${url.pathname} failed:`, error.message);
+                sendJson(res, 500, { error: 'Internal server error' });
+            });
+        }
+        return true;
+    };
+}
+
+module.exports = {
+    createApiHandler
+};
@@ -0,0 +1,70 @@
+/**
+ * ICE Server Configuration
+ * Builds the STUN/TURN list handed to clients before they create a peer
+ * connection. TURN credentials are short-lived and follow the coturn REST
+ * API scheme (`use-auth-secret`): the username is "<expiry>:<user>" and the
+ * password is base64(HMAC-SHA1(shared secret, username)).
+ *
+ * Environment:
+ *   STUN_URLS   - Comma-separated STUN URLs (defaults to Google's public servers)
+ *   TURN_URLS   - Comma-separated TURN URLs, e.g. "turn:turn.example.com:3478,turns:turn.example.com:5349"
+ *   TURN_SECRET - Shared secret configured as `static-auth-secret` in coturn
+ *   TURN_TTL    - Credential lifetime in seconds (default 3600)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302',
+    'stun:stun2.l.google.com:19302'
+];
+const DEFAULT_TURN_TTL = 60 * 60; // seconds
+
+function parseUrlList(value) {
+    return String(value || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Create time-limited TURN credentials for a user
+ * @param {string} secret - Shared secret known to the TURN server
+ * @param {string} userId - Label embedded in the username (shows up in TURN logs)
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {{username: string, credential: string, expiresAt: number}} expiresAt in ms
+ */
+function createTurnCredentials(secret, userId, ttl, now = Date.now()) {
+    const expiry = Math.floor(now / 1000) + ttl;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential, expiresAt: expiry * 1000 };
+}
+
+/**
+ * Build the ICE server list for a client
+ * @param {string} userId
+ * @param {object} [env] - Defaults to process.env
+ * @returns {{iceServers: RTCIceServer[], expiresAt: number|null}} expiresAt is null when no TURN is configured
+ */
+function getIceServers(userId, env = process.env, now = Date.now()) {
+    const stunUrls = env.STUN_URLS ? parseUrlList(env.STUN_URLS) : DEFAULT_STUN_URLS;
+    const iceServers = stunUrls.map(urls => ({ urls }));
+
+    const turnUrls = parseUrlList(env.TURN_URLS);
+    if (turnUrls.length === 0 || !env.TURN_SECRET) {
+        return { iceServers, expiresAt: null };
+    }
+
+    const ttl = Number(env.TURN_TTL) || DEFAULT_TURN_TTL;
+    const { username, credential, expiresAt } = createTurnCredentials(env.TURN_SECRET, userId, ttl, now);
+    iceServers.push({ urls: turnUrls, username, credential });
+
+    return { iceServers, expiresAt };
+}
+
+module.exports = {
+    createTurnCredentials,
+    getIceServers
+};
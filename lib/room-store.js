@@ -0,0 +1,244 @@
+/**
+ * Room Stores
+ * Where RoomManager keeps its records: rooms by sharing code and peers by
+ * socket id. The in-memory store serves a single server process. The Redis
+ * store lets several instances (e.g. Vercel functions) share rooms; it comes
+ * with the Socket.IO Redis adapter so `io.to(...)` reaches sockets connected
+ * to any instance.
+ *
+ * Every store method is async and works on plain JSON records:
+ *   getRoom(code), putRoom(code, room), addRoom(code, room) - false if the code is taken,
+ *   deleteRoom(code), listRoomCodes(), getPeer(id), putPeer(id, peer), deletePeer(id),
+ *   withLock(key, fn) - run fn with no other holder of the same key, on any instance,
+ *   close()
+ * `shared` tells whether other server instances see the same records.
+ *
+ * Environment:
+ *   REDIS_URL    - e.g. redis://localhost:6379; rooms are kept in memory when unset
+ *   REDIS_PREFIX - Prefix for every key this app uses (default "skibidi:")
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PREFIX = 'skibidi:';
+// Records outlive the room TTL so a crashed instance can't leave rooms behind forever
+const RECORD_TTL = 2 * 60 * 60 * 1000;
+const LOCK_TTL = 5000; // A lock holder that dies releases its lock after this long
+const LOCK_WAIT = 5000; // Give up waiting for a lock after this long
+const LOCK_RETRY_DELAY = 20;
+
+// Delete the lock only if we still hold it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+function parseRecord(json) {
+    return json === undefined || json === null ? null : JSON.parse(json);
+}
+
+/**
+ * Keeps records in this process. Records are stored serialized so callers
+ * get copies, the same as from Redis.
+ */
+class MemoryRoomStore {
+    constructor() {
+        this.shared = false;
+        this.rooms = new Map();
+        this.peers = new Map();
+        this.locks = new Map(); // key -> promise settled when the last queued holder is done
+    }
+
+    async getRoom(code) {
+        return parseRecord(this.rooms.get(code));
+    }
+
+    async putRoom(code, room) {
+        this.rooms.set(code, JSON.stringify(room));
+    }
+
+    async addRoom(code, room) {
+        if (this.rooms.has(code)) return false;
+        this.rooms.set(code, JSON.stringify(room));
+        return true;
+    }
+
+    async deleteRoom(code) {
+        this.rooms.delete(code);
+    }
+
+    async listRoomCodes() {
+        return [...this.rooms.keys()];
+    }
+
+    async getPeer(socketId) {
+        return parseRecord(this.peers.get(socketId));
+    }
+
+    async putPeer(socketId, peer) {
+        this.peers.set(socketId, JSON.stringify(peer));
+    }
+
+    async deletePeer(socketId) {
+        this.peers.delete(socketId);
+    }
+
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        let release;
+        const done = new Promise(resolve => {
+            release = resolve;
+        });
+        const tail = previous.then(() => done);
+        this.locks.set(key, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.locks.get(key) === tail) {
+                this.locks.delete(key);
+            }
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * Keeps records in Redis (or anything that speaks its protocol), shared by
+ * every instance using the same server and prefix
+ */
+class RedisRoomStore {
+    /**
+     * @param {import('ioredis').Redis} client
+     * @param {{prefix?: string, recordTtl?: number}} [options]
+     */
+    constructor(client, options = {}) {
+        this.shared = true;
+        this.client = client;
+        this.prefix = options.prefix || DEFAULT_PREFIX;
+        this.recordTtl = options.recordTtl || RECORD_TTL;
+    }
+
+    key(...parts) {
+        return this.prefix + parts.join(':');
+    }
+
+    async getRoom(code) {
+        return parseRecord(await this.client.get(this.key('room', code)));
+    }
+
+    async putRoom(code, room) {
+        await this.client.multi()
+            .set(this.key('room', code), JSON.stringify(room), 'PX', this.recordTtl)
+            .sadd(this.key('rooms'), code)
+            .exec();
+    }
+
+    async addRoom(code, room) {
+        const result = await this.client.set(this.key('room', code), JSON.stringify(room), 'PX', this.recordTtl, 'NX');
+        if (result !== 'OK') return false;
+
+        await this.client.sadd(this.key('rooms'), code);
+        return true;
+    }
+
+    async deleteRoom(code) {
+        await this.client.multi()
+            .del(this.key('room', code))
+            .srem(this.key('rooms'), code)
+            .exec();
+    }
+
+    async listRoomCodes() {
+        const codes = await this.client.smembers(this.key('rooms'));
+        const live = [];
+        for (const code of codes) {
+            if (await this.client.exists(this.key('room', code))) {
+                live.push(code);
+            } else {
+                // The record expired without being deleted
+                await this.client.srem(this.key('rooms'), code);
+            }
+        }
+        return live;
+    }
+
+    async getPeer(socketId) {
+        return parseRecord(await this.client.get(this.key('peer', socketId)));
+    }
+
+    async putPeer(socketId, peer) {
+        await this.client.set(this.key('peer', socketId), JSON.stringify(peer), 'PX', this.recordTtl);
+    }
+
+    async deletePeer(socketId) {
+        await this.client.del(this.key('peer', socketId));
+    }
+
+    async withLock(key, fn) {
+        const lockKey = this.key('lock', key);
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + LOCK_WAIT;
+
+        while (await this.client.set(lockKey, token, 'PX', LOCK_TTL, 'NX') !== 'OK') {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the lock on ${key}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+        }
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+/**
+ * Pick the room store from the environment. With REDIS_URL set this also
+ * returns the Socket.IO adapter that relays events between instances.
+ * @param {object} [env] - Defaults to process.env
+ * @returns {{store: MemoryRoomStore|RedisRoomStore, adapter: Function|null, close: Function}}
+ */
+function createRoomStoreFromEnv(env = process.env) {
+    if (!env.REDIS_URL) {
+        const store = new MemoryRoomStore();
+        return { store, adapter: null, close: () => store.close() };
+    }
+
+    // Only needed when scaling out, so loaded on demand
+    const Redis = require('ioredis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const prefix = env.REDIS_PREFIX || DEFAULT_PREFIX;
+    const client = new Redis(env.REDIS_URL);
+    // Subscriptions need a connection of their own
+    const subClient = client.duplicate();
+    for (const connection of [client, subClient]) {
+        connection.on('error', (error) => {
+            console.error('❌ Redis error:', error.message);
+        });
+    }
+
+    const store = new RedisRoomStore(client, { prefix });
+    return {
+        store,
+        adapter: createAdapter(client, subClient, { key: `${prefix}socket.io` }),
+        close: () => Promise.all([store.close(), subClient.quit()])
+    };
+}
+
+module.exports = {
+    MemoryRoomStore,
+    RedisRoomStore,
+    createRoomStoreFromEnv
+};
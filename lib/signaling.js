@@ -0,0 +1,1142 @@
+/**
+ * Shared Signaling Core
+ * Room management and Socket.IO handlers for WebRTC signaling.
+ * Used by both the development server (dev-server.js) and the
+ * Vercel serverless handler (api/socketio.js) so they behave identically.
+ */
+
+const crypto = require('crypto');
+const { getIceServers } = require('./ice-servers');
+const { AuditLog } = require('./audit-log');
+const { MemoryRoomStore } = require('./room-store');
+
+const MAX_VIEWERS_PER_ROOM = 10;
+const ROOM_TTL = 60 * 60 * 1000; // Rooms expire after 1 hour
+const CLEANUP_INTERVAL = 5 * 60 * 1000; // Check for expired rooms every 5 minutes
+const MAX_PIN_ATTEMPTS = 5; // Wrong PINs allowed before a code is locked
+const PIN_LOCKOUT = 5 * 60 * 1000; // How long a code stays locked
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 32;
+const APPROVAL_TIMEOUT = 2 * 60 * 1000; // Pending viewers are turned away if the host doesn't answer
+const MAX_CODE_ATTEMPTS = 20; // Collisions allowed before code generation gives up
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+const CONTROL_LEVELS = ['view', 'mouse', 'full'];
+// How long a dropped participant keeps their seat before the room is torn down
+const RESUME_GRACE_PERIOD = Number(process.env.RESUME_GRACE_PERIOD) || 30 * 1000;
+
+// Sharing code formats. Codes are stored without separators and shown to
+// users in dash-separated groups. 'secure' codes are meant for sensitive
+// sessions; their length and alphabet can be tuned per deployment.
+const CODE_FORMATS = {
+    standard: {
+        length: 9,
+        alphabet: '0123456789',
+        groupSize: 3
+    },
+    secure: {
+        length: Number(process.env.SECURE_CODE_LENGTH) || 12,
+        // No 0/O, 1/I/L to avoid misreading codes read out loud
+        alphabet: process.env.SECURE_CODE_ALPHABET || '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+        groupSize: 4
+    }
+};
+
+const RELAY_LOG_LABELS = {
+    'offer': '📤 Offer',
+    'answer': '📤 Answer',
+    'ice-candidate': '🧊 ICE candidate'
+};
+
+// Socket.IO server options shared by every entry point
+const SOCKET_IO_OPTIONS = {
+    cors: {
+        origin: '*',
+        methods: ['GET', 'POST']
+    },
+    transports: ['polling', 'websocket'],
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    upgradeTimeout: 30000,
+    connectTimeout: 45000,
+    maxHttpBufferSize: 1e8,
+    perMessageDeflate: false,
+    httpCompression: false
+};
+
+/**
+ * Strip separators and case from a user-entered sharing code
+ */
+function normalizeSharingCode(code) {
+    return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+/**
+ * Split a normalized code into dash-separated groups for display
+ */
+function formatSharingCode(code, groupSize = 3) {
+    return code.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-');
+}
+
+/**
+ * Build a code format, keeping only characters that survive normalization
+ */
+function resolveCodeFormat(format) {
+    const alphabet = [...new Set(normalizeSharingCode(format.alphabet))].join('');
+    if (alphabet.length < 2) {
+        throw new Error('Sharing code alphabet needs at least 2 distinct characters (0-9, A-Z)');
+    }
+
+    const length = Math.floor(format.length);
+    if (!(length >= 6 && length <= 32)) {
+        throw new Error('Sharing code length must be between 6 and 32');
+    }
+
+    return { length, alphabet, groupSize: format.groupSize || 4 };
+}
+
+/**
+ * Generate a random sharing code from a CSPRNG
+ * @param {{length: number, alphabet: string}} [format]
+ * @param {(code: string) => boolean} [isTaken] - Rejects codes already in use
+ * @returns {string} Normalized code (no separators)
+ */
+function generateSharingCode(format = CODE_FORMATS.standard, isTaken = () => false) {
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+        let code = '';
+        for (let i = 0; i < format.length; i++) {
+            code += format.alphabet[crypto.randomInt(format.alphabet.length)];
+        }
+
+        if (!isTaken(code)) {
+            return code;
+        }
+    }
+
+    throw new Error('Could not generate a unique sharing code');
+}
+
+/**
+ * Hash a PIN with a random salt so the plain PIN is never kept in memory
+ */
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(pin, salt, 32);
+    return { salt, hash };
+}
+
+/**
+ * Compare a PIN attempt against a stored hash in constant time
+ */
+function verifyPin(pin, stored) {
+    const hash = crypto.scryptSync(pin, stored.salt, 32);
+    return crypto.timingSafeEqual(hash, stored.hash);
+}
+
+/**
+ * Random token a participant presents to reclaim their seat after reconnecting
+ */
+function createResumeToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Compare two resume tokens in constant time
+ */
+function tokensMatch(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// Rooms are stored as plain JSON: Sets and Maps become arrays, PIN hashes base64
+function toRoomRecord(room) {
+    return {
+        ...room,
+        viewers: [...room.viewers],
+        pending: [...room.pending],
+        pin: room.pin && { salt: room.pin.salt.toString('base64'), hash: room.pin.hash.toString('base64') }
+    };
+}
+
+function fromRoomRecord(record) {
+    return {
+        ...record,
+        viewers: new Set(record.viewers),
+        pending: new Map(record.pending),
+        pin: record.pin && { salt: Buffer.from(record.pin.salt, 'base64'), hash: Buffer.from(record.pin.hash, 'base64') }
+    };
+}
+
+/**
+ * Registry of rooms (keyed by sharing code) and peers (keyed by socket id),
+ * kept in a room store so several server instances can share them. Has no
+ * Socket.IO dependency. A room and its peers only change while holding the
+ * store's lock for that room.
+ */
+class RoomManager {
+    /**
+     * @param {{maxViewers?: number, roomTtl?: number, codeFormats?: object, store?: object}} [options]
+     *   store defaults to an in-memory store (see lib/room-store.js)
+     */
+    constructor(options = {}) {
+        this.maxViewers = options.maxViewers || MAX_VIEWERS_PER_ROOM;
+        this.roomTtl = options.roomTtl || ROOM_TTL;
+        this.codeFormats = {};
+        for (const [name, format] of Object.entries({ ...CODE_FORMATS, ...options.codeFormats })) {
+            this.codeFormats[name] = resolveCodeFormat(format);
+        }
+        this.store = options.store || new MemoryRoomStore();
+    }
+
+    async getRoom(code) {
+        const record = await this.store.getRoom(normalizeSharingCode(code));
+        return record && fromRoomRecord(record);
+    }
+
+    async getPeer(socketId) {
+        return this.store.getPeer(socketId);
+    }
+
+    saveRoom(code, room) {
+        return this.store.putRoom(code, toRoomRecord(room));
+    }
+
+    /**
+     * Run fn(peer, room) holding the lock of the room a socket belongs to.
+     * Both are read again inside the lock, and are null if either is gone.
+     */
+    async withPeerRoom(socketId, fn) {
+        const peer = await this.store.getPeer(socketId);
+        if (!peer) return fn(null, null);
+
+        return this.store.withLock(peer.code, async () => {
+            const current = await this.store.getPeer(socketId);
+            const room = current && current.code === peer.code ? await this.getRoom(peer.code) : null;
+            return room ? fn(current, room) : fn(null, null);
+        });
+    }
+
+    /**
+     * Create a new room hosted by the given socket
+     * @param {string} hostId
+     * @param {{pin?: string, codeFormat?: string, info?: object}} [options] - Optional PIN viewers must
+     *   provide to join, the code format ('standard' or 'secure') and host info for operators
+     * @returns {Promise<{success: boolean, message?: string, code?: string, displayCode?: string, sessionId?: string, pinProtected?: boolean, resumeToken?: string}>}
+     */
+    async createRoom(hostId, options = {}) {
+        const pin = typeof options.pin === 'string' ? options.pin.trim() : '';
+
+        if (pin && (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH)) {
+            return {
+                success: false,
+                message: `PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} characters`
+            };
+        }
+
+        const format = this.codeFormats[options.codeFormat] || this.codeFormats.standard;
+        const room = {
+            host: hostId,
+            viewers: new Set(),
+            pending: new Map(), // viewer id -> info shown to the host while they wait for approval
+            createdAt: Date.now(),
+            displayCode: null,
+            sessionId: crypto.randomUUID(), // Names the session in the audit log on every instance
+            pin: pin ? hashPin(pin) : null,
+            failedPinAttempts: 0,
+            lockedUntil: 0
+        };
+
+        // The store only adds a room under a free code, whichever instance took it
+        for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+            const code = generateSharingCode(format);
+            room.displayCode = formatSharingCode(code, format.groupSize);
+            if (await this.store.addRoom(code, toRoomRecord(room))) {
+                const resumeToken = createResumeToken();
+                await this.store.putPeer(hostId, { code, role: 'host', resumeToken, info: options.info });
+                return { success: true, code, displayCode: room.displayCode, sessionId: room.sessionId, pinProtected: Boolean(room.pin), resumeToken };
+            }
+        }
+
+        return { success: false, message: 'No sharing code available, please try again' };
+    }
+
+    /**
+     * Check a viewer's PIN against a protected room, counting failures
+     * and locking the code after too many wrong attempts
+     * @returns {{success: boolean, message?: string, reason?: string, pinRequired?: boolean, locked?: boolean}}
+     */
+    checkPin(room, pin, now = Date.now()) {
+        if (!room.pin) {
+            return { success: true };
+        }
+
+        if (room.lockedUntil > now) {
+            const minutes = Math.ceil((room.lockedUntil - now) / 60000);
+            return {
+                success: false,
+                locked: true,
+                reason: 'locked',
+                message: `Too many incorrect PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+            };
+        }
+
+        if (typeof pin !== 'string' || !pin) {
+            return { success: false, pinRequired: true, reason: 'pin-required', message: 'This sharing code is protected by a PIN' };
+        }
+
+        if (verifyPin(pin, room.pin)) {
+            room.failedPinAttempts = 0;
+            return { success: true };
+        }
+
+        room.failedPinAttempts++;
+        if (room.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+            room.failedPinAttempts = 0;
+            room.lockedUntil = now + PIN_LOCKOUT;
+            return {
+                success: false,
+                locked: true,
+                reason: 'locked',
+                message: `Too many incorrect PINs. This code is locked for ${PIN_LOCKOUT / 60000} minutes.`
+            };
+        }
+
+        const attemptsLeft = MAX_PIN_ATTEMPTS - room.failedPinAttempts;
+        return {
+            success: false,
+            pinRequired: true,
+            reason: 'wrong-pin',
+            message: `Incorrect PIN (${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left)`
+        };
+    }
+
+    /**
+     * Ask to join an existing room as a viewer. The viewer is held in the
+     * room's pending list until the host accepts or denies the request.
+     * @param {string} code
+     * @param {string} viewerId
+     * @param {{pin?: string, info?: object}} [options] - PIN for protected rooms and viewer info for the host
+     * @returns {Promise<{success: boolean, message?: string, reason?: string, hostId?: string, displayCode?: string, sessionId?: string, pending?: boolean, pinRequired?: boolean, locked?: boolean}>}
+     *   sessionId is for the audit log, not for the viewer
+     */
+    async joinRoom(code, viewerId, options = {}) {
+        code = normalizeSharingCode(code);
+
+        return this.store.withLock(code, async () => {
+            const room = await this.getRoom(code);
+            if (!room) {
+                return { success: false, reason: 'invalid-code', message: 'Invalid sharing code' };
+            }
+
+            const pinCheck = this.checkPin(room, options.pin);
+            if (!pinCheck.success) {
+                // Failed attempts and lockouts are shared by every instance
+                await this.saveRoom(code, room);
+                return { ...pinCheck, displayCode: room.displayCode, sessionId: room.sessionId };
+            }
+
+            if (room.viewers.size + room.pending.size >= this.maxViewers) {
+                return { success: false, reason: 'room-full', message: 'Room is full', displayCode: room.displayCode, sessionId: room.sessionId };
+            }
+
+            room.pending.set(viewerId, { ...options.info, requestedAt: Date.now() });
+            await this.saveRoom(code, room);
+            await this.store.putPeer(viewerId, { code, role: 'viewer', pending: true });
+            return { success: true, pending: true, hostId: room.host, displayCode: room.displayCode, sessionId: room.sessionId };
+        });
+    }
+
+    /**
+     * Accept or deny a pending viewer. Only the room's host may decide.
+     * Accepted viewers get a resume token.
+     * @returns {Promise<{success: boolean, message?: string, code?: string, resumeToken?: string, room?: object}>}
+     */
+    resolveJoinRequest(hostId, viewerId, accept) {
+        return this.withPeerRoom(viewerId, async (peer, room) => {
+            if (!room || room.host !== hostId || !room.pending.has(viewerId)) {
+                return { success: false, message: 'No pending request from this viewer' };
+            }
+
+            const info = room.pending.get(viewerId);
+            room.pending.delete(viewerId);
+            if (accept) {
+                room.viewers.add(viewerId);
+                const resumeToken = createResumeToken();
+                await this.saveRoom(peer.code, room);
+                await this.store.putPeer(viewerId, { ...peer, pending: false, info, resumeToken });
+                return { success: true, code: peer.code, resumeToken, room };
+            }
+
+            await this.saveRoom(peer.code, room);
+            await this.store.deletePeer(viewerId);
+            return { success: true, code: peer.code, room };
+        });
+    }
+
+    /**
+     * Withdraw a pending join request without a host decision
+     * @returns {Promise<string|null>} The host that was waiting to decide
+     */
+    cancelJoinRequest(viewerId) {
+        return this.withPeerRoom(viewerId, async (peer, room) => {
+            if (!room || !room.pending.has(viewerId)) return null;
+
+            room.pending.delete(viewerId);
+            await this.saveRoom(peer.code, room);
+            await this.store.deletePeer(viewerId);
+            return room.host;
+        });
+    }
+
+    /**
+     * Flag a participant whose socket dropped; their seat is kept until
+     * they resume or the grace period runs out
+     */
+    markDisconnected(socketId, now = Date.now()) {
+        return this.withPeerRoom(socketId, async (peer) => {
+            if (!peer) return null;
+
+            peer.disconnectedAt = now;
+            await this.store.putPeer(socketId, peer);
+            return peer;
+        });
+    }
+
+    /**
+     * Rebind a participant's seat to a new socket using their resume token
+     * @returns {Promise<{success: boolean, message?: string, code?: string, role?: string, previousId?: string, recording?: boolean, room?: object}>}
+     */
+    async resumePeer(code, token, socketId) {
+        code = normalizeSharingCode(code);
+
+        return this.store.withLock(code, async () => {
+            const room = await this.getRoom(code);
+            if (!room) {
+                return { success: false, message: 'This session has ended' };
+            }
+
+            let previousId = null;
+            let peer = null;
+            for (const id of [room.host, ...room.viewers]) {
+                const candidate = await this.store.getPeer(id);
+                if (candidate && tokensMatch(candidate.resumeToken, token)) {
+                    previousId = id;
+                    peer = candidate;
+                    break;
+                }
+            }
+            if (!previousId) {
+                return { success: false, message: 'This session can no longer be resumed' };
+            }
+
+            await this.store.deletePeer(previousId);
+            await this.store.putPeer(socketId, { ...peer, disconnectedAt: null });
+
+            if (peer.role === 'host') {
+                room.host = socketId;
+            } else {
+                room.viewers.delete(previousId);
+                room.viewers.add(socketId);
+            }
+            await this.saveRoom(code, room);
+
+            return { success: true, code, role: peer.role, previousId, recording: Boolean(peer.recording), room };
+        });
+    }
+
+    /**
+     * Check that one socket may send signaling messages to another: both
+     * must be in the same room, one as host and the other as an approved viewer
+     * @returns {Promise<{success: boolean, message?: string, code?: string}>}
+     */
+    async authorizeRelay(fromId, toId) {
+        const from = await this.store.getPeer(fromId);
+        if (!from) {
+            return { success: false, message: 'You are not in a room' };
+        }
+        if (from.pending) {
+            return { success: false, message: 'Waiting for host approval' };
+        }
+
+        const to = typeof toId === 'string' ? await this.store.getPeer(toId) : null;
+        if (!to || to.code !== from.code) {
+            return { success: false, message: 'Target is not in your room' };
+        }
+        if (to.pending) {
+            return { success: false, message: 'Target has not been approved by the host' };
+        }
+        if (from.role === to.role) {
+            return { success: false, message: 'Signaling is only allowed between host and viewer' };
+        }
+
+        return { success: true, code: from.code };
+    }
+
+    /**
+     * Remove a socket from whatever room it belongs to. A departing host
+     * closes the room and takes its viewers with it.
+     * @returns {Promise<{code: string, role: string, pending: boolean, recording: boolean, room: object}|null>} What was removed
+     */
+    removePeer(socketId) {
+        return this.withPeerRoom(socketId, async (peer, room) => {
+            await this.store.deletePeer(socketId);
+            if (!room) return null;
+
+            if (room.host === socketId) {
+                await this.forgetRoom(peer.code, room);
+            } else {
+                room.viewers.delete(socketId);
+                room.pending.delete(socketId);
+                await this.saveRoom(peer.code, room);
+            }
+
+            return { code: peer.code, role: peer.role, pending: Boolean(peer.pending), recording: Boolean(peer.recording), room };
+        });
+    }
+
+    /**
+     * Flag whether an approved participant is recording the session
+     * @returns {Promise<{success: boolean, message?: string, code?: string, role?: string}>}
+     */
+    setRecording(socketId, recording) {
+        return this.withPeerRoom(socketId, async (peer) => {
+            if (!peer || peer.pending) {
+                return { success: false, message: 'You are not in a room' };
+            }
+
+            peer.recording = recording;
+            await this.store.putPeer(socketId, peer);
+            return { success: true, code: peer.code, role: peer.role };
+        });
+    }
+
+    /**
+     * Participants of a room that are currently recording
+     * @returns {Promise<Array<{peerId: string, role: string}>>}
+     */
+    async getRecordingPeers(code) {
+        const room = await this.getRoom(code);
+        if (!room) return [];
+
+        const recording = [];
+        for (const id of [room.host, ...room.viewers]) {
+            const peer = await this.store.getPeer(id);
+            if (peer && peer.recording) {
+                recording.push({ peerId: id, role: peer.role });
+            }
+        }
+        return recording;
+    }
+
+    /**
+     * Snapshot of every room for operators
+     * @returns {Promise<object[]>} Plain objects, safe to serialize
+     */
+    async listRooms(now = Date.now()) {
+        const describePeer = async (id) => {
+            const peer = await this.store.getPeer(id) || {};
+            return {
+                id,
+                connected: !peer.disconnectedAt,
+                disconnectedAt: peer.disconnectedAt ? new Date(peer.disconnectedAt).toISOString() : null,
+                recording: Boolean(peer.recording),
+                address: peer.info ? peer.info.address : null,
+                userAgent: peer.info ? peer.info.userAgent : null
+            };
+        };
+
+        const rooms = [];
+        for (const code of await this.store.listRoomCodes()) {
+            const room = await this.getRoom(code);
+            if (!room) continue;
+
+            rooms.push({
+                code,
+                displayCode: room.displayCode,
+                createdAt: new Date(room.createdAt).toISOString(),
+                age: now - room.createdAt,
+                pinProtected: Boolean(room.pin),
+                locked: room.lockedUntil > now,
+                host: await describePeer(room.host),
+                viewers: await Promise.all([...room.viewers].map(describePeer)),
+                pending: [...room.pending].map(([id, info]) => ({
+                    id,
+                    address: info.address || null,
+                    userAgent: info.userAgent || null,
+                    waiting: now - info.requestedAt
+                }))
+            });
+        }
+        return rooms;
+    }
+
+    /**
+     * Delete a room and forget all of its participants
+     * @returns {Promise<object|null>} The room that was closed
+     */
+    closeRoom(code) {
+        return this.store.withLock(code, async () => {
+            const room = await this.getRoom(code);
+            if (!room) return null;
+
+            await this.forgetRoom(code, room);
+            return room;
+        });
+    }
+
+    // Delete a room's records; the caller holds its lock
+    async forgetRoom(code, room) {
+        for (const id of [room.host, ...room.viewers, ...room.pending.keys()]) {
+            await this.store.deletePeer(id);
+        }
+        await this.store.deleteRoom(code);
+    }
+
+    /**
+     * Close every room older than the configured TTL
+     * @returns {Promise<Array<{code: string, room: object}>>} The rooms that were closed
+     */
+    async cleanupExpired(now = Date.now()) {
+        const expired = [];
+        for (const code of await this.store.listRoomCodes()) {
+            const closed = await this.store.withLock(code, async () => {
+                const room = await this.getRoom(code);
+                if (!room || now - room.createdAt <= this.roomTtl) return null;
+
+                await this.forgetRoom(code, room);
+                return room;
+            });
+            if (closed) {
+                expired.push({ code, room: closed });
+            }
+        }
+        return expired;
+    }
+}
+
+/**
+ * Best-effort client address (Vercel and other proxies set x-forwarded-for)
+ */
+function getClientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+/**
+ * Attach the signaling event handlers to a Socket.IO server
+ * @param {import('socket.io').Server} io
+ * @param {{roomManager?: RoomManager, roomStore?: object, auditLog?: AuditLog}} [options] - roomStore
+ *   is used for a new RoomManager when none is given (see lib/room-store.js)
+ * @returns {{roomManager: RoomManager, auditLog: AuditLog, forceCloseRoom: Function, close: Function}}
+ */
+function attachSignaling(io, options = {}) {
+    const roomManager = options.roomManager || new RoomManager({ store: options.roomStore });
+    const auditLog = options.auditLog || new AuditLog();
+
+    // Join acknowledgements held until the host decides (viewer id -> { callback, code, address, timer })
+    const pendingJoins = new Map();
+
+    if (process.env.TURN_URLS && !process.env.TURN_SECRET) {
+        console.warn('⚠️ TURN_URLS is set but TURN_SECRET is missing - TURN servers will not be offered');
+    }
+
+    // Seats held for disconnected participants (old socket id -> teardown timer).
+    // A timer may outlive the seat (the peer resumed on another instance);
+    // leaveRoom then finds nothing to remove.
+    const graceTimers = new Map();
+
+    // Answer a join request held by this instance
+    function settleLocalJoin(viewerId, response, reason) {
+        const pendingJoin = pendingJoins.get(viewerId);
+        if (!pendingJoin) return false;
+
+        clearTimeout(pendingJoin.timer);
+        pendingJoins.delete(viewerId);
+        auditLog.joinAttempt({
+            code: pendingJoin.code,
+            room: pendingJoin.room,
+            viewerId,
+            address: pendingJoin.address,
+            success: response.success,
+            reason
+        });
+        pendingJoin.callback(response);
+        return true;
+    }
+
+    // Answer a held join request; `reason` is what the audit log records.
+    // The viewer may be connected to another instance, which holds the acknowledgement.
+    function settleJoin(viewerId, response, reason) {
+        if (!settleLocalJoin(viewerId, response, reason) && roomManager.store.shared) {
+            io.serverSideEmit('settle-join', viewerId, response, reason);
+        }
+    }
+
+    io.on('settle-join', settleLocalJoin);
+
+    // Log a closed room. With a shared store the session may have been opened
+    // by another instance, which finishes its summary when told.
+    function recordRoomClosed(code, room, reason) {
+        auditLog.roomClosed({ code, room, reason });
+        if (roomManager.store.shared) {
+            io.serverSideEmit('session-closed', code, room.sessionId, reason);
+        }
+    }
+
+    io.on('session-closed', (code, sessionId, reason) => {
+        auditLog.sessionClosedElsewhere({ code, sessionId, reason });
+    });
+
+    // Remove a participant from their room and tell the others
+    async function leaveRoom(socketId, reason) {
+        const removed = await roomManager.removePeer(socketId);
+        if (!removed) return;
+
+        if (removed.role === 'host') {
+            // Host left, notify every viewer (room is already closed)
+            dismissViewers(removed.room, 'The host ended the session', 'host-left');
+            recordRoomClosed(removed.code, removed.room, `host-${reason}`);
+        } else if (removed.pending) {
+            settleJoin(socketId, { success: false, message: 'Join request cancelled' }, 'cancelled');
+            io.to(removed.room.host).emit('viewer-request-cancelled', socketId);
+        } else {
+            auditLog.peerLeft({ code: removed.code, room: removed.room, peerId: socketId, role: removed.role, reason });
+            io.to(removed.room.host).emit('viewer-disconnected', socketId);
+            if (removed.recording) {
+                io.to(removed.code).emit('recording-state', { peerId: socketId, role: removed.role, recording: false });
+            }
+        }
+    }
+
+    // Tell the viewers of a closed room it is gone and turn away anyone still waiting
+    function dismissViewers(room, pendingMessage, reason) {
+        for (const viewerId of room.viewers) {
+            io.to(viewerId).emit('host-disconnected');
+            clearTimeout(graceTimers.get(viewerId));
+            graceTimers.delete(viewerId);
+        }
+        for (const viewerId of room.pending.keys()) {
+            settleJoin(viewerId, { success: false, message: pendingMessage }, reason);
+        }
+    }
+
+    /**
+     * Close a room on an operator's request. Viewers are told the host is
+     * gone, the host that every viewer left and that the room was closed.
+     * @returns {Promise<boolean>} False if there is no such room
+     */
+    async function forceCloseRoom(code) {
+        code = normalizeSharingCode(code);
+        const room = await roomManager.closeRoom(code);
+        if (!room) return false;
+
+        dismissViewers(room, 'The session was closed by an administrator', 'room-closed');
+        for (const viewerId of room.viewers) {
+            io.to(room.host).emit('viewer-disconnected', viewerId);
+        }
+        io.to(room.host).emit('room-closed', { reason: 'admin' });
+        clearTimeout(graceTimers.get(room.host));
+        graceTimers.delete(room.host);
+        io.in(code).socketsLeave(code);
+
+        console.log(`🛑 Room ${room.displayCode} closed by an administrator`);
+        recordRoomClosed(code, room, 'admin');
+        return true;
+    }
+
+    // Tell a participant who in their room is already recording
+    async function sendRecordingStates(socketId, code) {
+        for (const { peerId, role } of await roomManager.getRecordingPeers(code)) {
+            if (peerId !== socketId) {
+                io.to(socketId).emit('recording-state', { peerId, role, recording: true });
+            }
+        }
+    }
+
+    // Tell the other side of a room about a participant's connection change
+    function notifyCounterparts(room, role, event, payload) {
+        if (role === 'host') {
+            for (const viewerId of room.viewers) {
+                io.to(viewerId).emit(event, payload);
+            }
+        } else {
+            io.to(room.host).emit(event, payload);
+        }
+    }
+
+    // Run a handler that may fail (e.g. the room store is unreachable),
+    // answering its acknowledgement, if any, instead of leaving the client hanging
+    function handle(socket, event, handler) {
+        socket.on(event, async (...args) => {
+            try {
+                await handler(...args);
+            } catch (error) {
+                console.error(`❌ Error handling ${event} from ${socket.id}:`, error.message);
+                const callback = args.find(arg => typeof arg === 'function');
+                if (callback) {
+                    callback({ success: false, message: 'Server error, please try again' });
+                }
+            }
+        });
+    }
+
+    io.on('connection', (socket) => {
+        console.log(`✅ Client connected: ${socket.id}`);
+
+        // STUN/TURN servers (with short-lived TURN credentials) for RTCPeerConnection
+        socket.on('get-ice-servers', (callback) => {
+            if (typeof callback === 'function') {
+                callback(getIceServers(socket.id));
+            }
+        });
+
+        // Generate a sharing code and open a room as host
+        handle(socket, 'generate-code', async (roomOptions, callback) => {
+            // Older clients send only the callback
+            if (typeof roomOptions === 'function') {
+                callback = roomOptions;
+                roomOptions = {};
+            }
+            // Without a callback nobody would ever learn the code
+            if (typeof callback !== 'function') return;
+
+            // A socket hosts one room at a time; a new code ends its previous session
+            const previous = await roomManager.getPeer(socket.id);
+            if (previous) {
+                socket.leave(previous.code);
+                await leaveRoom(socket.id, 'new-room');
+            }
+
+            const address = getClientAddress(socket);
+            const result = await roomManager.createRoom(socket.id, {
+                ...roomOptions,
+                info: { userAgent: socket.handshake.headers['user-agent'] || 'Unknown', address }
+            });
+            if (!result.success) {
+                return callback(result);
+            }
+
+            const code = result.code;
+            socket.join(code);
+
+            console.log(`📝 Room created: ${result.displayCode} by ${socket.id}${result.pinProtected ? ' (PIN protected)' : ''}`);
+            auditLog.roomCreated({
+                code,
+                displayCode: result.displayCode,
+                sessionId: result.sessionId,
+                hostId: socket.id,
+                address,
+                pinProtected: result.pinProtected,
+                codeFormat: roomOptions && roomOptions.codeFormat
+            });
+            callback({ success: true, code: result.displayCode, resumeToken: result.resumeToken });
+        });
+
+        // Ask to join room as viewer. The acknowledgement is held until the
+        // host accepts or denies the request (or the request times out).
+        handle(socket, 'join-room', async (code, joinOptions, callback) => {
+            if (typeof joinOptions === 'function') {
+                callback = joinOptions;
+                joinOptions = {};
+            }
+            // The answer only ever reaches the viewer through the callback
+            if (typeof callback !== 'function') return;
+
+            const viewerInfo = {
+                userAgent: socket.handshake.headers['user-agent'] || 'Unknown',
+                address: getClientAddress(socket)
+            };
+
+            const { sessionId, ...result } = await roomManager.joinRoom(code, socket.id, {
+                pin: joinOptions && joinOptions.pin,
+                info: viewerInfo
+            });
+            // The room as the audit log needs it when another instance opened the session
+            const auditRoom = { sessionId, displayCode: result.displayCode };
+            if (!result.success) {
+                if (result.pinRequired || result.locked) {
+                    console.log(`🔒 Rejected join to ${code} from ${socket.id}: ${result.message}`);
+                }
+                auditLog.joinAttempt({
+                    code: normalizeSharingCode(code),
+                    room: auditRoom,
+                    viewerId: socket.id,
+                    address: viewerInfo.address,
+                    success: false,
+                    reason: result.reason
+                });
+                return callback(result);
+            }
+
+            pendingJoins.set(socket.id, {
+                callback,
+                code: normalizeSharingCode(code),
+                room: auditRoom,
+                address: viewerInfo.address,
+                timer: setTimeout(async () => {
+                    try {
+                        const hostId = await roomManager.cancelJoinRequest(socket.id);
+                        io.to(hostId).emit('viewer-request-cancelled', socket.id);
+                        settleJoin(socket.id, { success: false, message: 'The host did not respond to your request' }, 'timeout');
+                    } catch (error) {
+                        console.error(`❌ Could not cancel join request of ${socket.id}:`, error.message);
+                    }
+                }, APPROVAL_TIMEOUT)
+            });
+
+            console.log(`🚪 Viewer ${socket.id} is waiting for approval in room ${result.displayCode}`);
+            socket.emit('join-pending');
+            io.to(result.hostId).emit('viewer-request', { viewerId: socket.id, ...viewerInfo });
+        });
+
+        // Host accepts or denies a pending viewer
+        handle(socket, 'respond-to-viewer', async (data, callback) => {
+            const viewerId = data && data.viewerId;
+            const accept = Boolean(data && data.accept);
+
+            const result = await roomManager.resolveJoinRequest(socket.id, viewerId, accept);
+            if (typeof callback === 'function') {
+                callback({ success: result.success, message: result.message });
+            }
+            if (!result.success) return;
+
+            const { room } = result;
+            if (accept) {
+                await io.in(viewerId).socketsJoin(result.code);
+                await sendRecordingStates(viewerId, result.code);
+
+                console.log(`👁️ Viewer ${viewerId} joined room ${room.displayCode} (${room.viewers.size} viewer(s))`);
+
+                // Notify host that viewer joined so it can send an offer
+                socket.emit('viewer-joined', viewerId);
+                settleJoin(viewerId, { success: true, hostId: socket.id, resumeToken: result.resumeToken }, 'accepted');
+            } else {
+                console.log(`🚫 Host denied viewer ${viewerId} in room ${room.displayCode}`);
+                settleJoin(viewerId, {
+                    success: false,
+                    denied: true,
+                    message: 'The host declined your request to connect'
+                }, 'denied');
+            }
+        });
+
+        // Forward an SDP/ICE message to the host or a viewer of the sender's
+        // room. Anything else is dropped, and the sender is told why.
+        async function relaySignal(event, field, data, ack) {
+            const to = data && data.to;
+            const result = await roomManager.authorizeRelay(socket.id, to);
+
+            if (result.success) {
+                console.log(`${RELAY_LOG_LABELS[event]} from ${socket.id} to ${to}`);
+                auditLog.relay(result.code, event);
+                io.to(to).emit(event, {
+                    [field]: data[field],
+                    from: socket.id
+                });
+            } else {
+                console.warn(`⛔ Dropped ${event} from ${socket.id} to ${to}: ${result.message}`);
+            }
+
+            if (typeof ack === 'function') {
+                ack({ success: result.success, message: result.message });
+            }
+        }
+
+        // WebRTC signaling - offer
+        handle(socket, 'offer', (data, ack) => relaySignal('offer', 'offer', data, ack));
+
+        // WebRTC signaling - answer
+        handle(socket, 'answer', (data, ack) => relaySignal('answer', 'answer', data, ack));
+
+        // WebRTC signaling - ICE candidate
+        handle(socket, 'ice-candidate', (data, ack) => relaySignal('ice-candidate', 'candidate', data, ack));
+
+        // In-session chat. Normally carried by a data channel; this is the
+        // fallback while a peer connection is not up. The host may pass on a
+        // viewer's message (keeping its author), everyone else speaks for themselves.
+        handle(socket, 'chat-message', async (message, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            const peer = await roomManager.getPeer(socket.id);
+            if (!peer || peer.pending) {
+                return reply({ success: false, message: 'Not in a room' });
+            }
+
+            const text = message && message.text;
+            const id = message && message.id;
+            if (typeof text !== 'string' || !text.trim() || text.length > MAX_CHAT_MESSAGE_LENGTH ||
+                typeof id !== 'string' || id.length > 64) {
+                return reply({ success: false, message: 'Invalid chat message' });
+            }
+
+            const relayed = peer.role === 'host' && typeof message.from === 'string' && message.from !== socket.id;
+            socket.to(peer.code).emit('chat-message', {
+                id,
+                text,
+                from: relayed ? message.from : socket.id,
+                role: relayed ? 'viewer' : peer.role,
+                sentAt: Number(message.sentAt) || Date.now()
+            });
+            auditLog.relay(peer.code, 'chat-message');
+            reply({ success: true });
+        });
+
+        // Recording indicator: the rest of the room is told when someone
+        // starts or stops recording
+        handle(socket, 'recording-state', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            const recording = Boolean(data && data.recording);
+
+            const result = await roomManager.setRecording(socket.id, recording);
+            if (!result.success) {
+                return reply(result);
+            }
+
+            console.log(`${recording ? '⏺️' : '⏹️'} ${result.role === 'host' ? 'Host' : 'Viewer'} ${socket.id} ${recording ? 'started' : 'stopped'} recording`);
+            socket.to(result.code).emit('recording-state', { peerId: socket.id, role: result.role, recording });
+            reply({ success: true });
+        });
+
+        // The host changed a viewer's remote control level. Control itself
+        // travels over the data channel; this only feeds the audit log.
+        handle(socket, 'control-level', async (data) => {
+            const peer = await roomManager.getPeer(socket.id);
+            const room = peer && await roomManager.getRoom(peer.code);
+            const viewerId = data && data.viewerId;
+            const level = data && data.level;
+            if (!room || room.host !== socket.id || !room.viewers.has(viewerId) || !CONTROL_LEVELS.includes(level)) {
+                return;
+            }
+
+            auditLog.controlChanged({ code: peer.code, room, viewerId, level });
+        });
+
+        // Reclaim a seat after a reconnect or page reload. `fresh` means the
+        // client lost its WebRTC state and needs a brand new peer connection.
+        handle(socket, 'resume', async (data, callback) => {
+            // Only the callback tells the client which seat it got back
+            if (typeof callback !== 'function') return;
+            if (!data || typeof data !== 'object') {
+                return callback({ success: false, message: 'Invalid resume request' });
+            }
+
+            const result = await roomManager.resumePeer(data.code, data.token, socket.id);
+            if (!result.success) {
+                return callback(result);
+            }
+
+            const { room, role, previousId } = result;
+            clearTimeout(graceTimers.get(previousId));
+            graceTimers.delete(previousId);
+
+            socket.join(result.code);
+            // A stale socket (e.g. the tab before a reload) must not linger
+            io.in(previousId).disconnectSockets(true);
+
+            const fresh = Boolean(data.fresh);
+            console.log(`🔁 ${role === 'host' ? 'Host' : 'Viewer'} ${previousId} resumed room ${room.displayCode} as ${socket.id}${fresh ? ' (fresh)' : ''}`);
+            notifyCounterparts(room, role, 'peer-resumed', { previousId, peerId: socket.id, role, fresh });
+            auditLog.peerResumed({ code: result.code, room, previousId, peerId: socket.id, role, fresh });
+
+            // A reloaded page has lost its recorder
+            if (fresh && result.recording) {
+                await roomManager.setRecording(socket.id, false);
+                socket.to(result.code).emit('recording-state', { peerId: socket.id, role, recording: false });
+            }
+            await sendRecordingStates(socket.id, result.code);
+
+            if (role === 'host') {
+                // Viewers still waiting for approval need to ask the new socket
+                for (const [viewerId, info] of room.pending) {
+                    socket.emit('viewer-request', { viewerId, ...info });
+                }
+            }
+
+            callback({
+                success: true,
+                role,
+                code: room.displayCode,
+                hostId: room.host,
+                viewers: [...room.viewers],
+                pinProtected: Boolean(room.pin)
+            });
+        });
+
+        // Participant ended the session but keeps the socket open
+        handle(socket, 'leave-room', async () => {
+            console.log(`👋 Client left room: ${socket.id}`);
+            const peer = await roomManager.getPeer(socket.id);
+            if (peer) {
+                socket.leave(peer.code);
+            }
+            await leaveRoom(socket.id, 'left');
+        });
+
+        // Handle disconnection
+        handle(socket, 'disconnect', async (reason) => {
+            console.log(`❌ Client disconnected: ${socket.id}`);
+
+            const peer = await roomManager.getPeer(socket.id);
+            if (!peer || peer.pending) {
+                await leaveRoom(socket.id, reason);
+                return;
+            }
+
+            // Hold the seat so a network blip doesn't end the session
+            await roomManager.markDisconnected(socket.id);
+            const room = await roomManager.getRoom(peer.code);
+            auditLog.peerDisconnected({ code: peer.code, room, peerId: socket.id, role: peer.role, reason });
+            if (room) {
+                notifyCounterparts(room, peer.role, 'peer-reconnecting', { peerId: socket.id, role: peer.role });
+            }
+
+            graceTimers.set(socket.id, setTimeout(() => {
+                graceTimers.delete(socket.id);
+                console.log(`⌛ Resume grace period expired for ${socket.id}`);
+                leaveRoom(socket.id, 'resume-expired').catch(error => {
+                    console.error(`❌ Could not remove ${socket.id}:`, error.message);
+                });
+            }, RESUME_GRACE_PERIOD));
+        });
+    });
+
+    // Cleanup expired rooms periodically
+    const cleanupTimer = setInterval(async () => {
+        try {
+            for (const { code, room } of await roomManager.cleanupExpired()) {
+                console.log(`🧹 Cleaned up expired room: ${code}`);
+                recordRoomClosed(code, room, 'expired');
+            }
+        } catch (error) {
+            console.error('❌ Could not clean up expired rooms:', error.message);
+        }
+    }, CLEANUP_INTERVAL);
+
+    return {
+        roomManager,
+        auditLog,
+        forceCloseRoom,
+        close() {
+            clearInterval(cleanupTimer);
+            for (const timer of graceTimers.values()) {
+                clearTimeout(timer);
+            }
+            graceTimers.clear();
+        }
+    };
+}
+
+module.exports = {
+    SOCKET_IO_OPTIONS,
+    CODE_FORMATS,
+    RoomManager,
+    attachSignaling,
+    generateSharingCode,
+    normalizeSharingCode,
+    formatSharingCode
+};
@@ -0,0 +1,187 @@
+/**
+ * Stream Statistics
+ * Turns the cumulative counters of RTCPeerConnection.getStats() into
+ * per-interval rates, keeps a short history and draws it as sparklines.
+ * Loaded before app.js, which owns the polling and the stats panel.
+ */
+
+const STATS_HISTORY_SIZE = 120; // Samples kept (two minutes at one per second)
+
+// Metrics drawn as sparklines in the stats panel
+const STATS_METRICS = [
+    { key: 'bitrate', label: 'Bitrate', unit: 'kbps', color: '#4a90e2' },
+    { key: 'fps', label: 'Frame rate', unit: 'fps', color: '#50c878' },
+    { key: 'rtt', label: 'Round trip', unit: 'ms', color: '#f39c12' },
+    { key: 'jitter', label: 'Jitter', unit: 'ms', color: '#1abc9c' },
+    { key: 'jitterBufferDelay', label: 'Jitter buffer', unit: 'ms', color: '#9b59b6' },
+    { key: 'decodeTime', label: 'Decode time', unit: 'ms', color: '#34495e' },
+    { key: 'loss', label: 'Packet loss', unit: '%', color: '#e74c3c' }
+];
+
+/**
+ * Change in a cumulative counter, or null if there is no previous value or
+ * the counter went backwards (a new connection started counting from zero)
+ */
+function counterDelta(current, previous, key) {
+    if (!previous || typeof current[key] !== 'number' || typeof previous[key] !== 'number') return null;
+    const delta = current[key] - previous[key];
+    return delta >= 0 ? delta : null;
+}
+
+function roundTo(value, digits = 1) {
+    if (value === null || !Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Pick the reports we care about out of a getStats() result
+ * @param {RTCStatsReport} report
+ * @returns {{inbound, candidatePair, localCandidate, remoteCandidate, codec}}
+ */
+function selectInboundReports(report) {
+    let inbound = null;
+    let transport = null;
+    let candidatePair = null;
+    
+    report.forEach(entry => {
+        if (entry.type === 'inbound-rtp' && entry.kind === 'video') {
+            inbound = entry;
+        } else if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+            transport = entry;
+        } else if (entry.type === 'candidate-pair' && entry.nominated && entry.state === 'succeeded' && !candidatePair) {
+            candidatePair = entry;
+        }
+    });
+    
+    // Prefer the pair the transport reports as selected (Firefox has no
+    // transport report, so the nominated pair found above is used there)
+    if (transport && report.get(transport.selectedCandidatePairId)) {
+        candidatePair = report.get(transport.selectedCandidatePairId);
+    }
+    
+    return {
+        inbound,
+        candidatePair,
+        localCandidate: candidatePair ? report.get(candidatePair.localCandidateId) || null : null,
+        remoteCandidate: candidatePair ? report.get(candidatePair.remoteCandidateId) || null : null,
+        codec: inbound && inbound.codecId ? report.get(inbound.codecId) || null : null
+    };
+}
+
+/**
+ * Keeps the history of one viewer's incoming video
+ * @param {number} [historySize]
+ */
+function createStatsTracker(historySize = STATS_HISTORY_SIZE) {
+    const samples = [];
+    let previous = null; // Raw reports of the last sample
+    
+    /**
+     * Add a getStats() result
+     * @param {RTCStatsReport} report
+     * @returns {object|null} The new sample, or null if there is no incoming video yet
+     */
+    function add(report) {
+        const raw = selectInboundReports(report);
+        const { inbound, candidatePair, localCandidate, remoteCandidate, codec } = raw;
+        if (!inbound) return null;
+        
+        const last = previous && previous.inbound;
+        const seconds = last ? (inbound.timestamp - last.timestamp) / 1000 : 0;
+        
+        const bytes = counterDelta(inbound, last, 'bytesReceived');
+        const framesDecoded = counterDelta(inbound, last, 'framesDecoded');
+        const packetsReceived = counterDelta(inbound, last, 'packetsReceived');
+        const packetsLost = counterDelta(inbound, last, 'packetsLost');
+        const bufferDelay = counterDelta(inbound, last, 'jitterBufferDelay');
+        const bufferEmitted = counterDelta(inbound, last, 'jitterBufferEmittedCount');
+        const decodeTime = counterDelta(inbound, last, 'totalDecodeTime');
+        
+        const sample = {
+            timestamp: inbound.timestamp,
+            bitrate: bytes !== null && seconds > 0 ? roundTo((bytes * 8) / seconds / 1000, 0) : null,
+            fps: typeof inbound.framesPerSecond === 'number'
+                ? inbound.framesPerSecond
+                : (framesDecoded !== null && seconds > 0 ? roundTo(framesDecoded / seconds) : null),
+            width: inbound.frameWidth || null,
+            height: inbound.frameHeight || null,
+            rtt: candidatePair && typeof candidatePair.currentRoundTripTime === 'number'
+                ? roundTo(candidatePair.currentRoundTripTime * 1000, 0)
+                : null,
+            jitter: typeof inbound.jitter === 'number' ? roundTo(inbound.jitter * 1000) : null,
+            jitterBufferDelay: bufferDelay !== null && bufferEmitted ? roundTo((bufferDelay / bufferEmitted) * 1000) : null,
+            decodeTime: decodeTime !== null && framesDecoded ? roundTo((decodeTime / framesDecoded) * 1000) : null,
+            loss: packetsLost !== null && packetsReceived !== null && packetsLost + packetsReceived > 0
+                ? roundTo((packetsLost / (packetsLost + packetsReceived)) * 100)
+                : null,
+            framesDropped: inbound.framesDropped || 0,
+            freezeCount: inbound.freezeCount || 0,
+            freezeDuration: roundTo(inbound.totalFreezesDuration || 0),
+            codec: codec ? codec.mimeType.replace('video/', '') : null,
+            candidateType: localCandidate && remoteCandidate
+                ? `${localCandidate.candidateType} → ${remoteCandidate.candidateType}`
+                : null,
+            protocol: localCandidate ? localCandidate.relayProtocol || localCandidate.protocol || null : null,
+            raw
+        };
+        
+        previous = raw;
+        samples.push(sample);
+        if (samples.length > historySize) {
+            samples.shift();
+        }
+        return sample;
+    }
+    
+    function reset() {
+        samples.length = 0;
+        previous = null;
+    }
+    
+    return {
+        samples,
+        add,
+        reset,
+        latest: () => samples[samples.length - 1] || null
+    };
+}
+
+/**
+ * Draw a metric's history into a canvas, scaled to its own maximum
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<number|null>} values - Oldest first; nulls leave gaps
+ * @param {string} color
+ */
+function drawSparkline(canvas, values, color) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    
+    const numbers = values.filter(value => value !== null);
+    if (numbers.length === 0) return;
+    
+    const max = Math.max(...numbers) || 1;
+    const step = width / Math.max(1, STATS_HISTORY_SIZE - 1);
+    const offset = width - (values.length - 1) * step; // Newest sample on the right edge
+    
+    context.strokeStyle = color;
+    context.lineWidth = 1.5;
+    context.beginPath();
+    let drawing = false;
+    values.forEach((value, index) => {
+        if (value === null) {
+            drawing = false;
+            return;
+        }
+        const x = offset + index * step;
+        const y = height - 2 - (value / max) * (height - 4);
+        if (drawing) {
+            context.lineTo(x, y);
+        } else {
+            context.moveTo(x, y);
+            drawing = true;
+        }
+    });
+    context.stroke();
+}
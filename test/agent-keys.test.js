@@ -0,0 +1,55 @@
+/**
+ * Agent key handling tests (run with `npm test`)
+ * Every key of the viewer's virtual key panel has to reach the desktop
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventHandler } = require('../agent');
+const { createDryRunInjector } = require('../agent/injectors/dry-run');
+const { toKeysym } = require('../agent/injectors/xdotool');
+
+// What sendVirtualKey() in app.js sends for each button of the key panel
+const PANEL_KEYS = [
+    { key: 'Enter', code: 'Enter' },
+    { key: 'Escape', code: 'Escape' },
+    { key: 'Tab', code: 'Tab' },
+    { key: 'Backspace', code: 'Backspace' },
+    { key: 'Control', code: 'ControlLeft' },
+    { key: 'Alt', code: 'AltLeft' },
+    { key: 'Shift', code: 'ShiftLeft' },
+    { key: 'Meta', code: 'MetaLeft' },
+    ...Array.from({ length: 12 }, (_, i) => ({ key: `F${i + 1}`, code: `F${i + 1}` })),
+    { key: 'ArrowUp', code: 'ArrowUp' },
+    { key: 'ArrowLeft', code: 'ArrowLeft' },
+    { key: 'ArrowDown', code: 'ArrowDown' },
+    { key: 'ArrowRight', code: 'ArrowRight' }
+];
+
+describe('virtual key panel', () => {
+    it('has an xdotool keysym for every key', () => {
+        for (const { key } of PANEL_KEYS) {
+            assert.ok(toKeysym(key), `no keysym for ${key}`);
+        }
+    });
+
+    it('presses and releases every key through the agent', () => {
+        const injector = createDryRunInjector();
+        const handler = createEventHandler(injector, { width: 1920, height: 1080, x: 0, y: 0 });
+
+        for (const { key, code } of PANEL_KEYS) {
+            handler.handle({ type: 'keydown', key, code });
+            handler.handle({ type: 'keyup', key, code });
+        }
+
+        const expected = PANEL_KEYS.flatMap(({ key, code }) => [
+            { action: 'key', key, code, down: true },
+            { action: 'key', key, code, down: false }
+        ]);
+        assert.deepEqual(injector.events.map(({ at, ...event }) => event), expected);
+
+        // Nothing is left held down
+        handler.releaseAll();
+        assert.equal(injector.events.length, expected.length);
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * AuditLog tests (run with `npm test`)
+ * Session summaries and events for sessions opened by another instance
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog } = require('../lib/audit-log');
+
+function createAuditLog() {
+    const events = [];
+    const auditLog = new AuditLog({ sinks: [{ name: 'memory', write: event => events.push(event) }] });
+    return { auditLog, events };
+}
+
+describe('AuditLog', () => {
+    it('summarizes a session opened here', () => {
+        const { auditLog, events } = createAuditLog();
+        auditLog.roomCreated({ code: '123456789', displayCode: '123-456-789', sessionId: 'session-1', hostId: 'host' }, 1000);
+        auditLog.joinAttempt({ code: '123456789', viewerId: 'viewer', success: true, reason: 'accepted' }, 2000);
+        auditLog.roomClosed({ code: '123456789', reason: 'host-left' }, 5000);
+
+        const closed = events.find(event => event.type === 'room.closed');
+        assert.equal(closed.sessionId, 'session-1');
+        assert.equal(closed.code, '123-456-789');
+        assert.equal(closed.duration, 4000);
+        assert.deepEqual(closed.joins, { accepted: 1, rejected: 0 });
+
+        const [session] = auditLog.getSessions('123456789');
+        assert.equal(session.active, false);
+        assert.equal(session.endReason, 'host-left');
+    });
+
+    it('tags events of a session opened elsewhere with the room\'s session id', () => {
+        const { auditLog, events } = createAuditLog();
+        const room = { sessionId: 'session-1', displayCode: '123-456-789', createdAt: 1000 };
+        auditLog.joinAttempt({ code: '123456789', room, viewerId: 'viewer', success: false, reason: 'wrong-pin' }, 2000);
+        auditLog.peerLeft({ code: '123456789', room, peerId: 'viewer', role: 'viewer', reason: 'left' }, 3000);
+        auditLog.roomClosed({ code: '123456789', room, reason: 'admin' }, 5000);
+
+        for (const event of events) {
+            assert.equal(event.sessionId, 'session-1');
+            assert.equal(event.code, '123-456-789');
+        }
+        assert.equal(events.find(event => event.type === 'room.closed').duration, 4000);
+        assert.deepEqual(auditLog.getSessions('123456789'), []);
+    });
+
+    it('ends a summary when another instance closes the room', () => {
+        const { auditLog, events } = createAuditLog();
+        auditLog.roomCreated({ code: '123456789', displayCode: '123-456-789', sessionId: 'session-1', hostId: 'host' }, 1000);
+
+        auditLog.sessionClosedElsewhere({ code: '123456789', sessionId: 'another-session', reason: 'admin' }, 4000);
+        assert.equal(auditLog.getSessions('123456789')[0].active, true);
+
+        auditLog.sessionClosedElsewhere({ code: '123456789', sessionId: 'session-1', reason: 'admin' }, 5000);
+        const [session] = auditLog.getSessions('123456789');
+        assert.equal(session.active, false);
+        assert.equal(session.endReason, 'admin');
+        // The closing instance logged room.closed
+        assert.equal(events.some(event => event.type === 'room.closed'), false);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * File transfer bookkeeping tests (run with `npm test`)
+ * Interrupting transfers when a channel closes and resuming them on the next
+ * channel to the same peer session
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    interruptChannelTransfers,
+    takeResumableTransfers,
+    findResumableIncoming,
+    dropTransfers
+} = require('../file-transfers');
+
+function outgoingTransfer(id, peerSession, channel, state, nextChunk = 0) {
+    return { id, peerSession, channel, state, nextChunk, totalChunks: 10 };
+}
+
+describe('file transfers', () => {
+    it('interrupts transfers on a closed channel and resumes them on a new one', () => {
+        const oldChannel = { label: 'old' };
+        const otherChannel = { label: 'other' };
+        const outgoing = new Map([
+            [1, outgoingTransfer(1, 'tab-a', oldChannel, 'sending', 4)],
+            [2, outgoingTransfer(2, 'tab-a', oldChannel, 'offered')],
+            [3, outgoingTransfer(3, 'tab-b', otherChannel, 'sending', 2)]
+        ]);
+        const incoming = new Map([
+            ['hash-a', { sha256: 'hash-a', size: 1000, peerSession: 'tab-a', channel: oldChannel, state: 'receiving', chunks: [1, 2] }]
+        ]);
+
+        const interrupted = interruptChannelTransfers(outgoing, incoming, oldChannel);
+        assert.deepEqual(interrupted.outgoing.map(transfer => transfer.id), [1, 2]);
+        assert.deepEqual(interrupted.incoming.map(transfer => transfer.sha256), ['hash-a']);
+        assert.equal(outgoing.get(3).state, 'sending');
+
+        // The peer came back (new socket id, new channel) from the same tab
+        const newChannel = { label: 'new' };
+        const resumed = takeResumableTransfers(outgoing, 'tab-a', newChannel);
+        assert.deepEqual(resumed.map(transfer => transfer.id), [1, 2]);
+        for (const transfer of resumed) {
+            assert.equal(transfer.channel, newChannel);
+            assert.equal(transfer.state, 'offered');
+        }
+        assert.equal(outgoing.get(1).nextChunk, 4);
+
+        // ...and the receiving side picks up where it stopped
+        const existing = findResumableIncoming(incoming, 'tab-a', { sha256: 'hash-a', size: 1000 });
+        assert.equal(existing, incoming.get('hash-a'));
+        assert.equal(existing.chunks.length, 2);
+    });
+
+    it('does not resend files that only wait for the receiver to verify them', () => {
+        const channel = {};
+        const outgoing = new Map([
+            [1, outgoingTransfer(1, 'tab-a', channel, 'verifying', 10)]
+        ]);
+
+        const interrupted = interruptChannelTransfers(outgoing, new Map(), channel);
+        assert.deepEqual(interrupted.outgoing, []);
+        assert.deepEqual(interrupted.unconfirmed.map(transfer => transfer.id), [1]);
+        assert.deepEqual(takeResumableTransfers(outgoing, 'tab-a', {}), []);
+    });
+
+    it('only resumes transfers of the same peer session', () => {
+        const channel = {};
+        const outgoing = new Map([[1, outgoingTransfer(1, 'tab-a', channel, 'sending')]]);
+        const incoming = new Map([
+            ['hash-a', { sha256: 'hash-a', size: 1000, peerSession: 'tab-a', channel, state: 'receiving', chunks: [] }]
+        ]);
+        interruptChannelTransfers(outgoing, incoming, channel);
+
+        assert.deepEqual(takeResumableTransfers(outgoing, 'tab-b', {}), []);
+        assert.equal(findResumableIncoming(incoming, 'tab-b', { sha256: 'hash-a', size: 1000 }), null);
+        assert.equal(findResumableIncoming(incoming, 'tab-a', { sha256: 'hash-a', size: 999 }), null);
+    });
+
+    it('drops the transfers of a peer session that left', () => {
+        const outgoing = new Map([
+            [1, outgoingTransfer(1, 'tab-a', {}, 'interrupted')],
+            [2, outgoingTransfer(2, 'tab-b', {}, 'sending')]
+        ]);
+
+        assert.deepEqual(dropTransfers(outgoing, 'tab-a').map(transfer => transfer.id), [1]);
+        assert.deepEqual([...outgoing.keys()], [2]);
+        assert.deepEqual(dropTransfers(outgoing, null).map(transfer => transfer.id), [2]);
+        assert.equal(outgoing.size, 0);
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * RoomManager tests (run with `npm test`)
+ * Rooms, join approval, PINs, resuming and relay checks, without Socket.IO
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RoomManager, normalizeSharingCode } = require('../lib/signaling');
+
+async function createRoomWithViewer(manager, options = {}) {
+    const room = await manager.createRoom('host', options);
+    await manager.joinRoom(room.code, 'viewer', { pin: options.pin });
+    const accepted = await manager.resolveJoinRequest('host', 'viewer', true);
+    return { ...room, viewerToken: accepted.resumeToken };
+}
+
+describe('RoomManager', () => {
+    describe('createRoom', () => {
+        it('creates a room with a formatted code and a host resume token', async () => {
+            const manager = new RoomManager();
+            const result = await manager.createRoom('host');
+
+            assert.equal(result.success, true);
+            assert.match(result.displayCode, /^\d{3}-\d{3}-\d{3}$/);
+            assert.equal(result.code, normalizeSharingCode(result.displayCode));
+            assert.equal(result.pinProtected, false);
+            assert.ok(result.resumeToken);
+            assert.ok(result.sessionId);
+
+            const room = await manager.getRoom(result.displayCode);
+            assert.equal(room.host, 'host');
+            assert.deepEqual(await manager.getPeer('host'), { code: result.code, role: 'host', resumeToken: result.resumeToken });
+        });
+
+        it('uses the secure code format when asked', async () => {
+            const manager = new RoomManager();
+            const result = await manager.createRoom('host', { codeFormat: 'secure' });
+
+            assert.equal(result.code.length, 12);
+            assert.match(result.code, /^[23456789ABCDEFGHJKMNPQRSTUVWXYZ]+$/);
+        });
+
+        it('rejects PINs that are too short', async () => {
+            const manager = new RoomManager();
+            const result = await manager.createRoom('host', { pin: '12' });
+
+            assert.equal(result.success, false);
+            assert.deepEqual(await manager.listRooms(), []);
+        });
+    });
+
+    describe('joinRoom', () => {
+        it('rejects unknown codes', async () => {
+            const manager = new RoomManager();
+            const result = await manager.joinRoom('000-000-000', 'viewer');
+
+            assert.equal(result.success, false);
+            assert.equal(result.reason, 'invalid-code');
+        });
+
+        it('holds viewers as pending until the host accepts', async () => {
+            const manager = new RoomManager();
+            const { code, displayCode } = await manager.createRoom('host');
+
+            const joined = await manager.joinRoom(displayCode.toLowerCase(), 'viewer');
+            const { sessionId } = await manager.getRoom(code);
+            assert.deepEqual(joined, { success: true, pending: true, hostId: 'host', displayCode, sessionId });
+            assert.equal((await manager.authorizeRelay('viewer', 'host')).success, false);
+
+            const accepted = await manager.resolveJoinRequest('host', 'viewer', true);
+            assert.equal(accepted.success, true);
+            assert.equal(accepted.code, code);
+            assert.ok(accepted.resumeToken);
+
+            const room = await manager.getRoom(code);
+            assert.deepEqual([...room.viewers], ['viewer']);
+            assert.equal(room.pending.size, 0);
+            assert.equal((await manager.authorizeRelay('viewer', 'host')).success, true);
+        });
+
+        it('only lets the host decide on a request', async () => {
+            const manager = new RoomManager();
+            const { code } = await manager.createRoom('host');
+            await manager.joinRoom(code, 'viewer');
+
+            assert.equal((await manager.resolveJoinRequest('intruder', 'viewer', true)).success, false);
+            assert.equal((await manager.getRoom(code)).pending.has('viewer'), true);
+        });
+
+        it('forgets denied and cancelled requests', async () => {
+            const manager = new RoomManager();
+            const { code } = await manager.createRoom('host');
+            await manager.joinRoom(code, 'denied');
+            await manager.joinRoom(code, 'cancelled');
+
+            assert.equal((await manager.resolveJoinRequest('host', 'denied', false)).success, true);
+            assert.equal(await manager.cancelJoinRequest('cancelled'), 'host');
+
+            const room = await manager.getRoom(code);
+            assert.equal(room.pending.size, 0);
+            assert.equal(room.viewers.size, 0);
+            assert.equal(await manager.getPeer('denied'), null);
+            assert.equal(await manager.getPeer('cancelled'), null);
+        });
+
+        it('counts pending viewers towards the room limit', async () => {
+            const manager = new RoomManager({ maxViewers: 2 });
+            const { code } = await manager.createRoom('host');
+            await manager.joinRoom(code, 'first');
+            await manager.resolveJoinRequest('host', 'first', true);
+            await manager.joinRoom(code, 'second');
+
+            const result = await manager.joinRoom(code, 'third');
+            assert.equal(result.success, false);
+            assert.equal(result.reason, 'room-full');
+        });
+    });
+
+    describe('PIN protection', () => {
+        it('asks for the PIN and accepts the right one', async () => {
+            const manager = new RoomManager();
+            const { code, pinProtected } = await manager.createRoom('host', { pin: '4242' });
+            assert.equal(pinProtected, true);
+
+            assert.equal((await manager.joinRoom(code, 'viewer')).reason, 'pin-required');
+            assert.equal((await manager.joinRoom(code, 'viewer', { pin: '4242' })).success, true);
+        });
+
+        it('locks the code after too many wrong PINs, even for the right one', async () => {
+            const manager = new RoomManager();
+            const { code } = await manager.createRoom('host', { pin: '4242' });
+
+            for (let attempt = 1; attempt < 5; attempt++) {
+                const result = await manager.joinRoom(code, 'guesser', { pin: '0000' });
+                assert.equal(result.reason, 'wrong-pin');
+                assert.match(result.message, new RegExp(`${5 - attempt} attempts? left`));
+            }
+            assert.equal((await manager.joinRoom(code, 'guesser', { pin: '0000' })).reason, 'locked');
+            assert.equal((await manager.joinRoom(code, 'viewer', { pin: '4242' })).reason, 'locked');
+
+            const [listed] = await manager.listRooms();
+            assert.equal(listed.locked, true);
+        });
+
+        it('lifts the lock once it runs out', async () => {
+            const manager = new RoomManager();
+            const { code } = await manager.createRoom('host', { pin: '4242' });
+            const room = await manager.getRoom(code);
+
+            room.lockedUntil = Date.now() + 1000;
+            assert.equal(manager.checkPin(room, '4242').reason, 'locked');
+            assert.equal(manager.checkPin(room, '4242', Date.now() + 1001).success, true);
+        });
+    });
+
+    describe('resumePeer', () => {
+        it('moves a viewer seat to a new socket with the resume token', async () => {
+            const manager = new RoomManager();
+            const { code, viewerToken } = await createRoomWithViewer(manager);
+            await manager.markDisconnected('viewer');
+
+            const result = await manager.resumePeer(code, viewerToken, 'viewer-2');
+            assert.equal(result.success, true);
+            assert.equal(result.role, 'viewer');
+            assert.equal(result.previousId, 'viewer');
+
+            assert.deepEqual([...(await manager.getRoom(code)).viewers], ['viewer-2']);
+            assert.equal(await manager.getPeer('viewer'), null);
+            assert.equal((await manager.getPeer('viewer-2')).disconnectedAt, null);
+            assert.equal((await manager.authorizeRelay('host', 'viewer-2')).success, true);
+        });
+
+        it('moves the host seat too', async () => {
+            const manager = new RoomManager();
+            const { code, resumeToken } = await createRoomWithViewer(manager);
+
+            const result = await manager.resumePeer(code, resumeToken, 'host-2');
+            assert.equal(result.role, 'host');
+            assert.equal((await manager.getRoom(code)).host, 'host-2');
+            assert.equal((await manager.resolveJoinRequest('host', 'viewer', true)).success, false);
+        });
+
+        it('rejects unknown tokens and ended sessions', async () => {
+            const manager = new RoomManager();
+            const { code, resumeToken } = await createRoomWithViewer(manager);
+
+            assert.equal((await manager.resumePeer(code, 'not-a-token', 'other')).success, false);
+            await manager.removePeer('host');
+            assert.equal((await manager.resumePeer(code, resumeToken, 'host-2')).success, false);
+        });
+    });
+
+    describe('authorizeRelay', () => {
+        it('only allows host <-> viewer within one room', async () => {
+            const manager = new RoomManager();
+            await createRoomWithViewer(manager);
+            const other = await manager.createRoom('other-host');
+            await manager.joinRoom(other.code, 'other-viewer');
+            await manager.resolveJoinRequest('other-host', 'other-viewer', true);
+
+            assert.deepEqual(await manager.authorizeRelay('host', 'viewer'), { success: true, code: (await manager.getPeer('host')).code });
+            assert.equal((await manager.authorizeRelay('host', 'other-viewer')).success, false);
+            assert.equal((await manager.authorizeRelay('viewer', 'viewer')).success, false);
+            assert.equal((await manager.authorizeRelay('stranger', 'host')).success, false);
+            assert.equal((await manager.authorizeRelay('host', null)).success, false);
+        });
+    });
+
+    describe('removePeer', () => {
+        it('frees a viewer seat', async () => {
+            const manager = new RoomManager();
+            const { code } = await createRoomWithViewer(manager);
+
+            const removed = await manager.removePeer('viewer');
+            assert.equal(removed.role, 'viewer');
+            assert.equal((await manager.getRoom(code)).viewers.size, 0);
+        });
+
+        it('closes the room when the host leaves', async () => {
+            const manager = new RoomManager();
+            const { code } = await createRoomWithViewer(manager);
+
+            const removed = await manager.removePeer('host');
+            assert.equal(removed.role, 'host');
+            assert.deepEqual([...removed.room.viewers], ['viewer']);
+            assert.equal(await manager.getRoom(code), null);
+            assert.equal(await manager.getPeer('viewer'), null);
+        });
+
+        it('ignores sockets that are not in a room', async () => {
+            const manager = new RoomManager();
+            assert.equal(await manager.removePeer('stranger'), null);
+        });
+    });
+
+    describe('cleanupExpired', () => {
+        it('closes rooms older than the TTL', async () => {
+            const manager = new RoomManager({ roomTtl: 1000 });
+            const { code } = await createRoomWithViewer(manager);
+            const fresh = await manager.createRoom('fresh-host');
+
+            assert.deepEqual(await manager.cleanupExpired(Date.now() + 500), []);
+            const createdAt = (await manager.getRoom(fresh.code)).createdAt;
+            const expired = await manager.cleanupExpired(createdAt + 1001);
+            assert.ok(expired.some(closed => closed.code === code && closed.room.host === 'host'));
+            assert.equal(await manager.getPeer('viewer'), null);
+        });
+    });
+});
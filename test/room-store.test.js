@@ -0,0 +1,112 @@
+/**
+ * Room store tests (run with `npm test`)
+ * RedisRoomStore against ioredis-mock, an in-process Redis stand-in, with two
+ * stores sharing one server the way two instances would
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis-mock');
+const { RedisRoomStore } = require('../lib/room-store');
+const { RoomManager } = require('../lib/signaling');
+
+describe('RedisRoomStore', () => {
+    let client;
+    let store;
+
+    beforeEach(async () => {
+        client = new Redis();
+        await client.flushall();
+        store = new RedisRoomStore(client, { prefix: 'test:' });
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    it('only adds a room under a free code', async () => {
+        assert.equal(await store.addRoom('123', { host: 'a' }), true);
+        assert.equal(await store.addRoom('123', { host: 'b' }), false);
+        assert.deepEqual(await store.getRoom('123'), { host: 'a' });
+        assert.deepEqual(await store.listRoomCodes(), ['123']);
+    });
+
+    it('expires records after the record TTL', async () => {
+        await store.addRoom('123', { host: 'a' });
+        await store.putPeer('a', { code: '123' });
+
+        const ttl = await client.pttl('test:room:123');
+        assert.ok(ttl > 0 && ttl <= 2 * 60 * 60 * 1000);
+        assert.ok(await client.pttl('test:peer:a') > 0);
+    });
+
+    it('prunes codes whose record expired', async () => {
+        await store.addRoom('123', { host: 'a' });
+        await store.putRoom('456', { host: 'b' });
+        // As if the record had expired
+        await client.del('test:room:123');
+
+        assert.deepEqual(await store.listRoomCodes(), ['456']);
+        assert.deepEqual(await client.smembers('test:rooms'), ['456']);
+    });
+
+    it('deletes rooms and peers', async () => {
+        await store.addRoom('123', { host: 'a' });
+        await store.putPeer('a', { code: '123' });
+        await store.deleteRoom('123');
+        await store.deletePeer('a');
+
+        assert.equal(await store.getRoom('123'), null);
+        assert.equal(await store.getPeer('a'), null);
+        assert.deepEqual(await store.listRoomCodes(), []);
+    });
+
+    it('runs one lock holder at a time and releases the lock', async () => {
+        const order = [];
+        const holder = (name) => store.withLock('123', async () => {
+            order.push(`${name} in`);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            order.push(`${name} out`);
+            return name;
+        });
+
+        assert.deepEqual(await Promise.all([holder('first'), holder('second')]), ['first', 'second']);
+        assert.deepEqual(order, ['first in', 'first out', 'second in', 'second out']);
+        assert.equal(await client.exists('test:lock:123'), 0);
+    });
+
+    it('releases the lock when the holder throws', async () => {
+        await assert.rejects(store.withLock('123', async () => {
+            throw new Error('boom');
+        }), /boom/);
+        assert.equal(await store.withLock('123', async () => 'next'), 'next');
+    });
+
+    it('does not release a lock taken over by someone else', async () => {
+        await store.withLock('123', async () => {
+            // Our lock expired and another instance took it
+            await client.set('test:lock:123', 'someone-else');
+        });
+        assert.equal(await client.get('test:lock:123'), 'someone-else');
+    });
+
+    it('lets two room managers share rooms', async () => {
+        const other = new RedisRoomStore(new Redis(), { prefix: 'test:' });
+        const instanceA = new RoomManager({ store });
+        const instanceB = new RoomManager({ store: other });
+
+        const { code } = await instanceA.createRoom('host', { pin: '4242' });
+        assert.equal((await instanceB.joinRoom(code, 'viewer', { pin: '0000' })).reason, 'wrong-pin');
+        assert.equal((await instanceB.joinRoom(code, 'viewer', { pin: '4242' })).hostId, 'host');
+        assert.equal((await instanceA.resolveJoinRequest('host', 'viewer', true)).success, true);
+
+        assert.equal((await instanceB.authorizeRelay('viewer', 'host')).success, true);
+        const [room] = await instanceB.listRooms();
+        assert.equal(room.code, code);
+        assert.equal(room.viewers[0].id, 'viewer');
+
+        await instanceB.removePeer('host');
+        assert.deepEqual(await instanceA.listRooms(), []);
+        await other.close();
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Signaling handler tests (run with `npm test`)
+ * A real Socket.IO server on a random port with socket.io-client peers
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { attachSignaling } = require('../lib/signaling');
+const { AuditLog } = require('../lib/audit-log');
+
+describe('attachSignaling', () => {
+    let server;
+    let io;
+    let signaling;
+    let url;
+    const clients = [];
+
+    before(async () => {
+        // The handlers narrate every event; keep the test output readable
+        for (const method of ['log', 'warn', 'error']) {
+            mock.method(console, method, () => {});
+        }
+
+        server = http.createServer();
+        io = new Server(server);
+        signaling = attachSignaling(io, { auditLog: new AuditLog({ sinks: [] }) });
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `http://localhost:${server.address().port}`;
+    });
+
+    after(async () => {
+        clients.forEach(client => client.disconnect());
+        // Let the server handle the disconnects before its grace timers are cleared
+        await new Promise(resolve => setTimeout(resolve, 100));
+        signaling.close();
+        await new Promise(resolve => io.close(resolve));
+        mock.restoreAll();
+    });
+
+    async function connectClient() {
+        const client = connect(url, { transports: ['websocket'], forceNew: true });
+        clients.push(client);
+        await new Promise(resolve => client.once('connect', resolve));
+        return client;
+    }
+
+    describe('generate-code', () => {
+        it('does not create a room without a callback', async () => {
+            const client = await connectClient();
+            client.emit('generate-code', {});
+            // A round trip so the ignored event has been handled
+            await client.emitWithAck('get-ice-servers');
+
+            assert.equal(await signaling.roomManager.getPeer(client.id), null);
+        });
+
+        it('closes the previous room when the same socket asks again', async () => {
+            const host = await connectClient();
+            const first = await host.emitWithAck('generate-code', {});
+            const second = await host.emitWithAck('generate-code', {});
+
+            assert.equal(first.success, true);
+            assert.equal(second.success, true);
+            assert.equal(await signaling.roomManager.getRoom(first.code), null);
+            assert.equal((await signaling.roomManager.getRoom(second.code)).host, host.id);
+
+            const hosted = (await signaling.roomManager.listRooms()).filter(room => room.host.id === host.id);
+            assert.deepEqual(hosted.map(room => room.displayCode), [second.code]);
+        });
+
+        it('tells viewers of the previous room that it ended', async () => {
+            const host = await connectClient();
+            const viewer = await connectClient();
+            const { code } = await host.emitWithAck('generate-code', {});
+
+            host.once('viewer-request', ({ viewerId }) => {
+                host.emit('respond-to-viewer', { viewerId, accept: true });
+            });
+            assert.equal((await viewer.emitWithAck('join-room', code, {})).success, true);
+
+            const dismissed = new Promise(resolve => viewer.once('host-disconnected', resolve));
+            await host.emitWithAck('generate-code', {});
+            await dismissed;
+            assert.equal(await signaling.roomManager.getPeer(viewer.id), null);
+        });
+    });
+
+    describe('join-room', () => {
+        it('does not queue a request without a callback', async () => {
+            const host = await connectClient();
+            const viewer = await connectClient();
+            const { code } = await host.emitWithAck('generate-code', {});
+            let requested = false;
+            host.on('viewer-request', () => { requested = true; });
+
+            viewer.emit('join-room', code, {});
+            await viewer.emitWithAck('get-ice-servers');
+
+            assert.equal(await signaling.roomManager.getPeer(viewer.id), null);
+            assert.equal((await signaling.roomManager.getRoom(code)).pending.size, 0);
+            assert.equal(requested, false);
+        });
+    });
+
+    describe('resume', () => {
+        it('answers malformed requests without throwing', async () => {
+            const client = await connectClient();
+
+            assert.equal((await client.emitWithAck('resume', 'not-an-object')).success, false);
+            assert.equal((await client.emitWithAck('resume', null)).success, false);
+            client.emit('resume', { code: '123-456-789', token: 'token' });
+            assert.equal((await client.emitWithAck('resume', {})).success, false);
+        });
+    });
+});